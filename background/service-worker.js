@@ -1,5 +1,12 @@
 import { NCaptureGenerator } from '../utils/ncapture-generator.js';
 import { XLSXExporter } from '../utils/xlsx-exporter.js';
+import { CSVExporter } from '../utils/csv-exporter.js';
+import { ArchiveHistory } from '../utils/archive-history.js';
+import { JobStore, JOB_KEY } from '../utils/job-store.js';
+import { PathTemplate } from '../utils/path-template.js';
+import { ScheduleStore, SCHEDULE_ALARM_PREFIX } from '../utils/schedule-store.js';
+import { ExtractionSettings } from '../utils/extraction-settings.js';
+import { SubtitleFormatter } from '../utils/subtitle-formatter.js';
 
 // ... (Rest of imports if any, but YCA structure is sparse here)
 
@@ -45,111 +52,803 @@ function nestComments(flatComments) {
     return rootComments;
 }
 
-let videoQueue = [];
+// The job (queue, options, in-flight tab, results) lives in chrome.storage.local so a
+// suspended worker or a browser restart can pick it up again. See utils/job-store.js.
+let job = null;
 let currentChannelId = null;
 let currentChannelName = null;
-let currentOptions = {}; // Store options for current batch
-let isProcessing = false;
-let mainTabId = null; // Store the tab ID that initiated the download
+let currentPlaylist = null; // { playlistId, title } when archiving a playlist
+let jobVideos = new Map(); // videoId -> queued video (playlist items carry their own channel)
+
+// Session storage survives worker suspension but not a browser restart
+const WORKER_SESSION_KEY = 'yca_worker_session';
+
+// Watchdog defaults; the popup stores overrides as videoTimeoutSec / videoRetries
+const DEFAULT_VIDEO_TIMEOUT_SEC = 180;
+const DEFAULT_VIDEO_RETRIES = 2;
+const DEFAULT_POOL_SIZE = 1;
+const MAX_POOL_SIZE = 6;
+
+// API-only mode: videos are fetched from one background YouTube tab instead of a tab each
+const API_HOST_URL = 'https://www.youtube.com/';
+let hostTabPromise = null;
+const RETRY_BACKOFF_SEC = 30; // Doubles per attempt (alarms can't fire sooner than 30s)
+const WATCHDOG_ALARM_PREFIX = 'yca_watchdog_';
+const DEFAULT_ZIP_VOLUME_MB = 1024;
+const RETRY_ALARM = 'yca_retry';
+
+const SCAN_TIMEOUT_ALARM_PREFIX = 'yca_scan_timeout_';
+const SCAN_TIMEOUT_MIN = 15;
+
+// Output settings are read for every file, so a copy is kept in memory
+const OUTPUT_SETTING_KEYS = ['outputFolder', 'conflictPolicy', 'folderTemplate', 'fileTemplate'];
+const DEFAULT_CONFLICT_POLICY = 'version';
+let outputSettings = {};
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    OUTPUT_SETTING_KEYS.forEach(key => {
+        if (key in changes) outputSettings[key] = changes[key].newValue;
+    });
+});
+
+async function loadOutputSettings() {
+    outputSettings = await chrome.storage.local.get(OUTPUT_SETTING_KEYS);
+}
+
+// Every message handler waits for this, so settings and job are in place first
+const jobReady = loadOutputSettings().then(rehydrateJob).catch(err => console.error('[YCA Background] Could not restore job:', err));
+jobReady.then(syncScheduleAlarms);
+
+async function rehydrateJob() {
+    const stored = await JobStore.load();
+    const session = await chrome.storage.session.get(WORKER_SESSION_KEY);
+    const sameBrowserSession = !!session[WORKER_SESSION_KEY];
+    await chrome.storage.session.set({ [WORKER_SESSION_KEY]: true });
+
+    if (!stored) return;
+
+    setActiveJob(stored);
+    job.watchdog = job.watchdog || { timeoutSec: DEFAULT_VIDEO_TIMEOUT_SEC, retries: DEFAULT_VIDEO_RETRIES };
+    job.attempts = job.attempts || {};
+    job.retryAt = job.retryAt || {};
+    job.poolSize = job.poolSize || DEFAULT_POOL_SIZE;
+    job.mode = job.mode || 'tabs';
+    job.zip = job.zip || null;
+    job.results = job.results || {};
+    job.schedule = job.schedule || null;
+    job.cancelled = job.cancelled || false;
+    console.log(`[YCA Background] Restored job ${job.id}: ${job.done.length}/${job.videos.length} done, status ${job.status}`);
+
+    if (job.status !== 'running') return;
+
+    // Requeue videos whose tab is gone; keep waiting on tabs that are still extracting
+    const alive = [];
+    for (const entry of job.inFlight) {
+        const tabId = entry.viaApi ? job.hostTabId : entry.tabId;
+        const tab = tabId !== null ? await chrome.tabs.get(tabId).catch(() => null) : null;
+        if (tab && sameBrowserSession) {
+            alive.push(entry);
+        } else {
+            job.pending.unshift(entry.video);
+        }
+    }
+    job.inFlight = alive;
+
+    // The open ZIP volume lived in the offscreen document: redo videos that never reached disk
+    if (job.zip && job.zip.unflushed.length > 0) {
+        const lost = new Set(job.zip.unflushed);
+        console.log(`[YCA Background] ${lost.size} videos were in an unsaved ZIP volume, requeueing`);
+        job.done = job.done.filter(id => !lost.has(id));
+        job.pending.unshift(...job.videos.filter(v => lost.has(v.videoId)));
+        job.zip.unflushed = [];
+    }
+
+    if (sameBrowserSession) {
+        // Worker was only suspended: carry on where it stopped
+        JobStore.save(job);
+        processNextVideo();
+    } else {
+        // Browser restarted: wait for the user to press "Resume job" in the popup
+        job.status = 'interrupted';
+        job.mainTabId = null;
+        JobStore.save(job);
+        console.log(`[YCA Background] Job ${job.id} interrupted by restart, ${job.pending.length} videos left`);
+    }
+}
+
+function setActiveJob(newJob) {
+    job = newJob;
+    currentChannelId = job ? job.channelId : null;
+    currentChannelName = job ? job.channelName : null;
+    currentPlaylist = job ? job.playlist : null;
+    jobVideos = new Map((job ? job.videos : []).map(v => [v.videoId, v]));
+}
+
+// Action badge: videos left in the job (any change to the stored job updates it)
+function updateBadge(storedJob) {
+    const remaining = storedJob ? storedJob.pending.length + storedJob.inFlight.length : 0;
+    const colors = { running: '#cc0000', paused: '#777777', interrupted: '#e69500' };
+
+    chrome.action.setBadgeText({ text: remaining > 0 ? (remaining > 999 ? '999+' : String(remaining)) : '' });
+    if (storedJob) chrome.action.setBadgeBackgroundColor({ color: colors[storedJob.status] || colors.running });
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && JOB_KEY in changes) updateBadge(changes[JOB_KEY].newValue);
+});
+
+function isProcessing() {
+    return job !== null && job.status === 'running';
+}
 
 // Listen for download requests
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log('[YCA Background] Received:', message.type);
 
     if (message.type === 'YCA_START_DOWNLOAD') {
-        const { videos, channelId, channelName } = message.payload;
-        console.log(`[YCA Background] Starting download for ${videos.length} videos`);
+        jobReady.then(() => startJob(message.payload, sender));
+    }
 
-        // Store the initiating tab ID to send completion message later
-        if (sender.tab) {
-            mainTabId = sender.tab.id;
-            console.log(`[YCA Background] Main tab ID: ${mainTabId}`);
-        }
-        console.log(`[YCA Background] Channel: ${channelName} (${channelId})`);
-
-        videoQueue = [...videos];
-        currentChannelId = channelId;
-        currentChannelName = channelName || channelId; // Fallback to ID if name not provided
-        currentOptions = message.payload.options || {}; // Extract options
-
-        // Persist state to storage for reliability
-        chrome.storage.local.set({
-            'yca_session': {
-                channelName: currentChannelName,
-                options: currentOptions
+    if (message.type === 'YCA_VIDEO_DATA_READY') {
+        // The answer confirms the files were written (a recorded live chat is kept until then)
+        jobReady
+            .then(() => handleVideoData(message.payload, sender))
+            .then(sendResponse)
+            .catch(err => {
+                console.error('[YCA Background] Saving video data failed:', err);
+                sendResponse({ saved: false, error: err.message });
+            });
+        return true; // Async response
+    }
+
+    if (message.type === 'YCA_ZIP_VOLUME_READY') {
+        jobReady.then(() => handleZipVolume(message));
+    }
+
+    if (message.type === 'YCA_SCHEDULE_EDIT') {
+        jobReady.then(() => editSchedule(message)).then(schedule => sendResponse({ schedule }));
+        return true; // Async response
+    }
+
+    if (message.type === 'YCA_RUN_SCHEDULE') {
+        jobReady.then(() => runSchedule(message.scheduleId));
+    }
+
+    if (message.type === 'YCA_SCHEDULED_SCAN_PROGRESS') {
+        console.log(`[YCA Background] Scheduled scan ${message.payload.runId}: ${message.payload.count} videos so far`);
+    }
+
+    if (message.type === 'YCA_SCHEDULED_SCAN_RESULT') {
+        jobReady.then(() => handleScheduledScan(message.payload));
+    }
+
+    // Options page settings, for the selection popup and single-video extraction
+    if (message.type === 'YCA_GET_EXTRACTION_SETTINGS') {
+        ExtractionSettings.load().then(sendResponse);
+        return true;
+    }
+
+    if (message.type === 'YCA_GET_JOB') {
+        jobReady.then(() => respondWithJob(sendResponse));
+        return true; // Async response
+    }
+
+    if (message.type === 'YCA_RESUME_JOB') {
+        jobReady.then(() => {
+            resumeJob();
+            respondWithJob(sendResponse);
+        });
+        return true;
+    }
+
+    // Popup dashboard controls
+    if (message.type === 'YCA_PAUSE_JOB') {
+        jobReady.then(() => {
+            pauseJob();
+            respondWithJob(sendResponse);
+        });
+        return true;
+    }
+
+    if (message.type === 'YCA_CANCEL_JOB') {
+        jobReady.then(() => {
+            cancelJob();
+            respondWithJob(sendResponse);
+        });
+        return true;
+    }
+
+    if (message.type === 'YCA_SKIP_VIDEO') {
+        jobReady.then(() => {
+            skipVideo(message.videoId);
+            respondWithJob(sendResponse);
+        });
+        return true;
+    }
+
+    if (message.type === 'YCA_RETRY_FAILED') {
+        jobReady.then(async () => {
+            await retryFailed();
+            respondWithJob(sendResponse);
+        });
+        return true;
+    }
+
+    if (message.type === 'YCA_DISCARD_JOB') {
+        jobReady.then(async () => {
+            if (job && !isProcessing()) {
+                console.log(`[YCA Background] Discarding job ${job.id}`);
+                if (job.zip) sendToOffscreen({ type: 'YCA_ZIP_DISCARD', jobId: job.id });
+                const schedule = job.schedule;
+                setActiveJob(null);
+                await JobStore.clear();
+                if (schedule) {
+                    finishScheduledRun(schedule.runId, { status: 'failed', error: 'Job discarded' });
+                } else {
+                    runDeferredSchedules();
+                }
             }
-        }, () => {
-            console.log('[YCA Background] Options saved to storage:', JSON.stringify(currentOptions));
-            isProcessing = true;
-            processNextVideo();
+            respondWithJob(sendResponse);
         });
+        return true;
     }
+});
 
-    if (message.type === 'YCA_VIDEO_DATA_READY') {
-        // Data extracted from the tab
-        const { videoId, title, transcript, comments, chatReplay, options, channelName, duration } = message.payload;
-        console.log(`[YCA Background] Received data for ${videoId}`);
-        console.log(`[YCA Background] - Duration: ${duration} seconds`);
-        console.log(`[YCA Background] - Transcript: ${transcript ? transcript.length + ' chars' : 'NULL'}`);
-        console.log(`[YCA Background] - Comments: ${comments ? comments.length + ' items' : 'NULL'}`);
-        console.log(`[YCA Background] - Chat: ${chatReplay ? 'YES' : 'NULL'}`);
-        console.log(`[YCA Background] - Options: ${JSON.stringify(options || {})}`);
-
-        // Save the data, passing options and channel name if available
-        saveVideoData(videoId, title, transcript, comments, chatReplay, options, channelName, duration);
-
-        // Close the tab after extraction ONLY if part of a batch process (YCA Scan)
-        // Single videos opened manually should stay open
-        if (sender.tab && isProcessing) {
-            console.log(`[YCA Background] Closing tab ${sender.tab.id} (Batch Mode)`);
-            chrome.tabs.remove(sender.tab.id);
-        } else if (sender.tab) {
-            console.log(`[YCA Background] Keeping tab ${sender.tab.id} open (Single/Manual Mode)`);
+async function respondWithJob(sendResponse) {
+    const last = await JobStore.loadLast();
+    sendResponse({
+        job: JobStore.summarize(job),
+        saveError: job ? JobStore.saveError : null,
+        lastJob: last && {
+            finishedAt: last.finishedAt,
+            cancelled: last.cancelled,
+            name: last.playlist?.title || last.channelName || null,
+            total: last.total,
+            done: last.done,
+            failed: last.failed.length
         }
+    });
+}
 
-        // Script-based extraction is fast (~4-5 seconds total)
-        // Wait 1 second before processing next video to avoid overwhelming the browser
-        console.log(`[YCA Background] Waiting 1 second before next video...`);
-        setTimeout(processNextVideo, 1000);
+async function startJob(payload, sender, schedule = null) {
+    const { videos, channelId, channelName, playlist } = payload;
+    console.log(`[YCA Background] Starting download for ${videos.length} videos`);
+
+    if (job) {
+        console.log(`[YCA Background] Replacing previous job ${job.id} (${job.pending.length} videos were left)`);
+        if (job.zip) sendToOffscreen({ type: 'YCA_ZIP_DISCARD', jobId: job.id });
+        if (job.schedule) finishScheduledRun(job.schedule.runId, { status: 'failed', error: 'Replaced by another job' });
     }
-});
 
-function processNextVideo() {
-    if (videoQueue.length === 0) {
-        console.log('[YCA Background] All videos processed!');
-        isProcessing = false;
-
-        // Notify the main tab that all downloads are complete
-        if (mainTabId) {
-            console.log(`[YCA Background] Sending completion message to main tab ${mainTabId}`);
-            chrome.tabs.sendMessage(mainTabId, {
-                type: 'YCA_QUEUE_COMPLETE'
-            }).catch(err => console.log('[YCA Background] Could not notify main tab (closed?):', err));
-            mainTabId = null; // Reset
+    // Store the initiating tab ID to send completion message later
+    const mainTabId = sender.tab ? sender.tab.id : null;
+    if (mainTabId) {
+        console.log(`[YCA Background] Main tab ID: ${mainTabId}`);
+    }
+    console.log(`[YCA Background] Channel: ${channelName} (${channelId})`);
+
+    const settings = await chrome.storage.local.get(['videoTimeoutSec', 'videoRetries', 'workerPoolSize', 'extractionMode', 'outputZip', 'zipVolumeMB']);
+    const watchdog = {
+        timeoutSec: Math.max(30, parseInt(settings.videoTimeoutSec, 10) || DEFAULT_VIDEO_TIMEOUT_SEC),
+        retries: Math.max(0, parseInt(settings.videoRetries ?? DEFAULT_VIDEO_RETRIES, 10) || 0)
+    };
+    console.log(`[YCA Background] Watchdog: ${watchdog.timeoutSec}s timeout, ${watchdog.retries} retries`);
+
+    const poolSize = Math.min(MAX_POOL_SIZE, Math.max(1, parseInt(settings.workerPoolSize, 10) || DEFAULT_POOL_SIZE));
+    const mode = settings.extractionMode === 'api' ? 'api' : 'tabs';
+    console.log(`[YCA Background] Extraction: ${mode === 'api' ? 'API-only' : 'worker tabs'}, ${poolSize} at once`);
+
+    let zip = null;
+    if (settings.outputZip === true) {
+        const baseName = sanitizeFileName(playlist?.title || channelName || channelId || 'Videos');
+        zip = {
+            name: `YCA_${baseName}_${new Date().toISOString().slice(0, 10)}`,
+            volumeMB: Math.max(10, parseInt(settings.zipVolumeMB, 10) || DEFAULT_ZIP_VOLUME_MB),
+            nextVolume: 1,
+            unflushed: [] // Saved videos whose ZIP volume is not on disk yet
+        };
+        console.log(`[YCA Background] ZIP output: ${zip.name}.zip, volumes of ${zip.volumeMB} MB`);
+    }
+
+    // Options page settings, overridden by anything chosen for this job (e.g. the XLSX checkbox)
+    const extraction = await ExtractionSettings.load();
+    const options = { ...extraction, ...(payload.options || {}) };
+    console.log(`[YCA Background] Extraction settings: ${options.preset} preset`);
+
+    setActiveJob(JobStore.create({
+        videos,
+        channelId,
+        channelName: channelName || channelId, // Fallback to ID if name not provided
+        playlist: playlist || null,
+        options,
+        mainTabId,
+        watchdog,
+        poolSize,
+        mode,
+        zip,
+        schedule
+    }));
+    JobStore.save(job);
+
+    if (currentPlaylist) {
+        console.log(`[YCA Background] Playlist: ${currentPlaylist.title} (${currentPlaylist.playlistId})`);
+    }
+    // ZIP jobs write the indexes last, into the final volume
+    if (!job.zip) saveJobIndexes();
+
+    saveSessionOptions(() => processNextVideo());
+}
+
+function saveJobIndexes() {
+    if (currentPlaylist) {
+        savePlaylistIndex(currentPlaylist, job.videos);
+    }
+    saveChannelIndex(job.videos);
+}
+
+function resumeJob() {
+    if (!job || (job.status !== 'interrupted' && job.status !== 'paused')) return;
+
+    console.log(`[YCA Background] Resuming job ${job.id} (${job.pending.length} videos left)`);
+    job.status = 'running';
+    JobStore.save(job);
+    saveSessionOptions(() => processNextVideo());
+}
+
+// Videos already extracting finish; no new ones start until resumed
+function pauseJob() {
+    if (!isProcessing()) return;
+
+    console.log(`[YCA Background] Pausing job ${job.id} (${job.inFlight.length} still extracting)`);
+    job.status = 'paused';
+    JobStore.save(job);
+}
+
+// Stops the job now: open worker tabs close, what's left is reported as cancelled
+function cancelJob() {
+    if (!job || job.status === 'interrupted') return;
+
+    console.log(`[YCA Background] Cancelling job ${job.id} (${job.pending.length + job.inFlight.length} videos left)`);
+    const inFlight = job.inFlight;
+    job.cancelled = true;
+    job.inFlight = []; // Before closing tabs, so onRemoved doesn't count them as failures
+    job.pending = [];
+    chrome.alarms.clear(RETRY_ALARM);
+
+    inFlight.forEach(entry => {
+        chrome.alarms.clear(WATCHDOG_ALARM_PREFIX + entry.video.videoId);
+        if (!entry.viaApi && entry.tabId) chrome.tabs.remove(entry.tabId).catch(() => { });
+    });
+
+    finishJob();
+}
+
+function skipVideo(videoId) {
+    const index = job ? job.inFlight.findIndex(entry => entry.video.videoId === videoId) : -1;
+    if (index === -1) return;
+
+    const [entry] = job.inFlight.splice(index, 1);
+    console.log(`[YCA Background] Skipping ${videoId} on request`);
+    chrome.alarms.clear(WATCHDOG_ALARM_PREFIX + videoId);
+    job.failed.push({ videoId, title: entry.video.title, reason: 'Skipped' });
+    delete job.attempts[videoId];
+    delete job.retryAt[videoId];
+    JobStore.save(job);
+
+    if (!entry.viaApi && entry.tabId) chrome.tabs.remove(entry.tabId).catch(() => { });
+    processNextVideo();
+}
+
+// Requeues the failures of the running job, or starts a new job with those of the last one
+async function retryFailed() {
+    if (job) {
+        if (job.failed.length === 0) return;
+
+        const ids = new Set(job.failed.map(f => f.videoId));
+        console.log(`[YCA Background] Requeueing ${ids.size} failed videos`);
+        job.pending.push(...job.videos.filter(v => ids.has(v.videoId)));
+        ids.forEach(id => {
+            delete job.attempts[id];
+            delete job.retryAt[id];
+        });
+        job.failed = [];
+        JobStore.save(job);
+        processNextVideo();
+        return;
+    }
+
+    const last = await JobStore.loadLast();
+    if (!last || last.failedVideos.length === 0) return;
+
+    console.log(`[YCA Background] Retrying ${last.failedVideos.length} failed videos of job ${last.id}`);
+    await JobStore.clearLast();
+    await startJob({
+        videos: last.failedVideos,
+        channelId: last.channelId,
+        channelName: last.channelName,
+        playlist: last.playlist,
+        options: last.options
+    }, {});
+}
+
+// The content script reads batch options from here when the video tab loads
+function saveSessionOptions(callback) {
+    chrome.storage.local.set({
+        'yca_session': {
+            channelName: currentChannelName,
+            options: job.options
         }
+    }, () => {
+        console.log('[YCA Background] Options saved to storage:', JSON.stringify(job.options));
+        callback();
+    });
+}
+
+async function handleVideoData(payload, sender) {
+    // Data extracted from the tab
+    const { videoId, title, transcript, captions, chapters, comments, chatReplay, options, channelName, channelId, duration, uploadDate } = payload;
+
+    // API-only extraction reports errors (e.g. unavailable video) instead of data
+    if (payload.error) {
+        const entry = job ? job.inFlight.find(e => e.video.videoId === videoId) : null;
+        console.warn(`[YCA Background] Extraction error for ${videoId}: ${payload.error}`);
+        if (entry) handleVideoFailure(entry, payload.error);
+        return { saved: false, error: payload.error };
+    }
+
+    console.log(`[YCA Background] Received data for ${videoId}`);
+    console.log(`[YCA Background] - Duration: ${duration} seconds`);
+    console.log(`[YCA Background] - Transcript: ${transcript ? transcript.length + ' chars' : 'NULL'}`);
+    console.log(`[YCA Background] - Comments: ${comments ? comments.length + ' items' : 'NULL'}`);
+    console.log(`[YCA Background] - Chat: ${chatReplay ? 'YES' : 'NULL'}`);
+    console.log(`[YCA Background] - Chapters: ${chapters ? chapters.length : 'NULL'}`);
+    console.log(`[YCA Background] - Options: ${JSON.stringify(options || {})}`);
+
+    // Save the data, passing options and channel name if available
+    const { stats, chatSaved } = saveVideoData(videoId, title, transcript, comments, chatReplay, options, channelName, duration, uploadDate, channelId, captions, chapters);
+
+    // Record success so "only new" selections skip this video next time: only when files were written,
+    // never for a recorded live chat, and for ZIP jobs once its volume is downloaded (handleZipVolume)
+    const zipped = job && job.zip && jobVideos.has(videoId);
+    if (stats.files.length > 0 && !options?.chatRecording && !zipped) {
+        ArchiveHistory.markArchived(archiveChannelFor(videoId, channelId), videoId);
+    }
+
+    // Worker tabs are matched by tab ID; the video ID covers a report that beats tabs.create's callback
+    const senderTabId = sender.tab ? sender.tab.id : null;
+    const inFlightIndex = job
+        ? job.inFlight.findIndex(entry => (senderTabId !== null && entry.tabId === senderTabId) || entry.video.videoId === videoId)
+        : -1;
+    // API-only reports come from the shared host tab, which must stay open
+    const isWorkerTab = inFlightIndex !== -1 && !job.inFlight[inFlightIndex].viaApi;
+
+    // A slow tab can still deliver after the watchdog requeued its video
+    const pendingIndex = job && inFlightIndex === -1 ? job.pending.findIndex(v => v.videoId === videoId) : -1;
+    if (inFlightIndex !== -1 || pendingIndex !== -1) {
+        const startedAt = inFlightIndex !== -1 ? job.inFlight[inFlightIndex].startedAt : null;
+        if (inFlightIndex !== -1) job.inFlight.splice(inFlightIndex, 1);
+        if (pendingIndex !== -1) job.pending.splice(pendingIndex, 1);
+        job.done.push(videoId);
+        job.results[videoId] = { ...stats, options: options || {}, startedAt, capturedAt: new Date().toISOString() };
+        if (job.zip) job.zip.unflushed.push(videoId);
+        delete job.attempts[videoId];
+        delete job.retryAt[videoId];
+        JobStore.save(job);
+        chrome.alarms.clear(WATCHDOG_ALARM_PREFIX + videoId);
+    }
+
+    // Close the tab after extraction ONLY if it is one of the job's worker tabs
+    // Single videos opened manually should stay open
+    if (sender.tab && isWorkerTab) {
+        console.log(`[YCA Background] Closing tab ${sender.tab.id} (Batch Mode)`);
+        chrome.tabs.remove(sender.tab.id);
+    } else if (sender.tab) {
+        console.log(`[YCA Background] Keeping tab ${sender.tab.id} open (Single/Manual Mode)`);
+    }
+
+    // Script-based extraction is fast (~4-5 seconds total)
+    // Wait 1 second before refilling the freed worker slot to avoid overwhelming the browser
+    console.log(`[YCA Background] Waiting 1 second before next video...`);
+    setTimeout(processNextVideo, 1000);
+
+    // Saved means every chat file is on disk or downloading, not just queued
+    const chatResult = await chatSaved;
+    if (!chatResult.ok) {
+        console.error(`[YCA Background] Chat files for ${videoId} not saved:`, chatResult.error);
+        return { saved: false, error: chatResult.error || 'Chat files could not be saved', files: stats.files.length };
+    }
+    return { saved: stats.files.length > 0, files: stats.files.length };
+}
+
+// --- Scheduled archiving (schedules are edited on popup/schedules.html) ---
+
+// The schedules page edits through this worker, so runs logged here and edits made
+// there never overwrite each other's read-modify-write of the schedules key
+async function editSchedule({ action, scheduleId, fields }) {
+    let schedule = null;
+    if (action === 'add') {
+        schedule = await ScheduleStore.add(fields);
+        console.log(`[YCA Background] Added schedule ${schedule.id} for ${schedule.url}`);
+    } else if (action === 'update') {
+        await ScheduleStore.update(scheduleId, fields);
+    } else if (action === 'remove') {
+        await ScheduleStore.remove(scheduleId);
+    }
+    await syncScheduleAlarms();
+    return schedule;
+}
+
+// One alarm per enabled schedule; survives restarts, but is re-created if missing
+async function syncScheduleAlarms() {
+    const schedules = await ScheduleStore.list();
+    const alarms = await chrome.alarms.getAll();
+    const wanted = new Map(schedules.filter(s => s.enabled).map(s => [ScheduleStore.alarmName(s.id), s]));
+
+    alarms
+        .filter(alarm => alarm.name.startsWith(SCHEDULE_ALARM_PREFIX) && !wanted.has(alarm.name))
+        .forEach(alarm => chrome.alarms.clear(alarm.name));
+
+    wanted.forEach((schedule, name) => {
+        const periodInMinutes = schedule.everyDays * 24 * 60;
+        const existing = alarms.find(alarm => alarm.name === name);
+        if (existing && existing.periodInMinutes === periodInMinutes) return;
+
+        // Next run one period after the last one (a new schedule waits a full period)
+        const last = schedule.lastRunAt ? Date.parse(schedule.lastRunAt) : Date.now();
+        const when = Math.max(Date.now() + 60 * 1000, last + periodInMinutes * 60 * 1000);
+        chrome.alarms.create(name, { when, periodInMinutes });
+        console.log(`[YCA Background] Schedule "${schedule.label}": every ${schedule.everyDays} days, next ${new Date(when).toISOString()}`);
+    });
+}
+
+// Scans the schedule's channel/playlist in a background tab; handleScheduledScan takes over from there
+async function runSchedule(scheduleId) {
+    const schedule = await ScheduleStore.get(scheduleId);
+    if (!schedule) return;
+
+    // One job at a time: wait for the current job (or scan) and run afterwards
+    const scanning = (await ScheduleStore.history()).some(run => run.status === 'scanning');
+    if (job || scanning) {
+        console.log(`[YCA Background] Deferring scheduled run "${schedule.label}" until the current job finishes`);
+        await ScheduleStore.update(scheduleId, { deferred: true, lastStatus: 'deferred' });
+        return;
+    }
+
+    const run = {
+        id: `run_${Date.now()}`,
+        scheduleId,
+        label: schedule.label,
+        url: schedule.url,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        tabId: null,
+        status: 'scanning',
+        found: null,
+        queued: null,
+        recaptured: null,
+        done: null,
+        failed: null,
+        error: null
+    };
+    console.log(`[YCA Background] Scheduled run "${schedule.label}" (${run.id}) started`);
+    await ScheduleStore.update(scheduleId, { deferred: false, lastRunAt: run.startedAt, lastStatus: 'scanning' });
+    await ScheduleStore.logRun(run);
+    chrome.alarms.create(SCAN_TIMEOUT_ALARM_PREFIX + run.id, { delayInMinutes: SCAN_TIMEOUT_MIN });
+
+    try {
+        const tab = await chrome.tabs.create({ url: API_HOST_URL, active: false });
+        await ScheduleStore.logRun({ id: run.id, tabId: tab.id });
+        await waitForTabComplete(tab.id);
+        await sendToTabWithRetry(tab.id, { type: 'YCA_RUN_SCHEDULED_SCAN', runId: run.id, url: schedule.url });
+    } catch (e) {
+        console.error(`[YCA Background] Could not start scheduled scan ${run.id}:`, e);
+        finishScheduledRun(run.id, { status: 'failed', error: `Could not start the scan: ${e.message}` });
+    }
+}
+
+async function handleScheduledScan({ runId, videos, channelId, channelName, playlist, error }) {
+    const run = await ScheduleStore.getRun(runId);
+    if (!run || run.status !== 'scanning') return; // Timed out meanwhile
+
+    if (error) {
+        finishScheduledRun(runId, { status: 'failed', error });
+        return;
+    }
+
+    const schedule = await ScheduleStore.get(run.scheduleId);
+    const { fresh, recapture } = await pickScheduledVideos(videos, channelId, schedule?.recaptureDays || 0);
+    const counts = { found: videos.length, queued: fresh.length, recaptured: recapture.length };
+    console.log(`[YCA Background] Scheduled run ${runId}: ${videos.length} found, ${fresh.length} new, ${recapture.length} to re-capture`);
+
+    if (fresh.length + recapture.length === 0) {
+        finishScheduledRun(runId, { status: 'no-new-videos', ...counts });
+        return;
+    }
 
+    // Someone started a job by hand during the scan: scan again once it's done
+    if (job) {
+        if (schedule) await ScheduleStore.update(schedule.id, { deferred: true });
+        finishScheduledRun(runId, { status: 'deferred', ...counts, error: 'Another job started during the scan' });
         return;
     }
 
-    const video = videoQueue.shift();
+    await finishScheduledRun(runId, { status: 'running', ...counts });
+    startJob({
+        videos: [...fresh, ...recapture],
+        channelId,
+        channelName,
+        playlist,
+        options: { exportXlsx: schedule?.exportXlsx === true }
+    }, {}, { scheduleId: run.scheduleId, runId });
+}
+
+// New = not in the archive history yet; re-capture = archived, but published within recaptureDays
+async function pickScheduledVideos(videos, channelId, recaptureDays) {
+    const cutoff = recaptureDays > 0 ? Date.now() - recaptureDays * 24 * 60 * 60 * 1000 : null;
+    const histories = new Map();
+    const fresh = [];
+    const recapture = [];
+
+    for (const video of videos) {
+        // Nothing to archive before an upcoming premiere/stream starts
+        if ((video.badges || []).includes('upcoming')) continue;
+
+        const historyChannelId = video.channelId || channelId;
+        if (!histories.has(historyChannelId)) {
+            histories.set(historyChannelId, historyChannelId ? await ArchiveHistory.get(historyChannelId) : {});
+        }
+
+        if (!histories.get(historyChannelId)[video.videoId]) {
+            fresh.push(video);
+        } else if (cutoff && video.publishDate && Date.parse(video.publishDate) >= cutoff) {
+            recapture.push(video);
+        }
+    }
+
+    return { fresh, recapture };
+}
+
+// Updates the run in the history; a final status lets the next deferred schedule go
+async function finishScheduledRun(runId, patch) {
+    const run = await ScheduleStore.getRun(runId);
+    if (!run) return;
+
+    if (run.status === 'scanning') {
+        chrome.alarms.clear(SCAN_TIMEOUT_ALARM_PREFIX + runId);
+        if (run.tabId) chrome.tabs.remove(run.tabId).catch(() => { });
+    }
+
+    const final = patch.status !== 'running';
+    await ScheduleStore.logRun({ id: runId, ...patch, ...(final ? { finishedAt: new Date().toISOString() } : {}) });
+    await ScheduleStore.update(run.scheduleId, { lastStatus: patch.status });
+    console.log(`[YCA Background] Scheduled run ${runId}: ${patch.status}${patch.error ? ` (${patch.error})` : ''}`);
+
+    if (final) runDeferredSchedules();
+}
+
+async function expireScheduledScan(runId) {
+    const run = await ScheduleStore.getRun(runId);
+    if (run && run.status === 'scanning') {
+        finishScheduledRun(runId, { status: 'failed', error: `Scan did not finish within ${SCAN_TIMEOUT_MIN} minutes` });
+    }
+}
+
+async function runDeferredSchedules() {
+    if (job) return;
+    const next = (await ScheduleStore.list()).find(s => s.enabled && s.deferred);
+    if (next) runSchedule(next.id);
+}
+
+function finishJob() {
+    console.log('[YCA Background] All videos processed!');
+    const mainTabId = job.mainTabId;
+    const hostTabId = job.hostTabId;
+    const schedule = job.schedule;
+    const summary = { total: job.videos.length, done: job.done.length, failed: job.failed, cancelled: job.cancelled };
+
+    if (summary.failed.length > 0) {
+        console.log(`[YCA Background] ${summary.failed.length} videos failed:`, summary.failed);
+    }
+
+    saveJobReport();
+    JobStore.saveLast(job);
+    if (job.zip) {
+        saveJobIndexes();
+        sendToOffscreen({ type: 'YCA_ZIP_FINISH', jobId: job.id });
+    }
+
+    setActiveJob(null);
+    JobStore.clear();
+
+    if (hostTabId) {
+        chrome.tabs.remove(hostTabId).catch(() => { });
+    }
+
+    // Either way, schedules that were waiting for this job may run now
+    if (schedule) {
+        finishScheduledRun(schedule.runId, {
+            status: summary.cancelled ? 'failed' : 'completed',
+            done: summary.done,
+            failed: summary.failed.length,
+            error: summary.cancelled ? 'Cancelled' : null
+        });
+    } else {
+        runDeferredSchedules();
+    }
+
+    // Notify the main tab that all downloads are complete
+    if (mainTabId) {
+        console.log(`[YCA Background] Sending completion message to main tab ${mainTabId}`);
+        chrome.tabs.sendMessage(mainTabId, {
+            type: 'YCA_QUEUE_COMPLETE',
+            summary
+        }).catch(err => console.log('[YCA Background] Could not notify main tab (closed?):', err));
+    }
+}
+
+function processNextVideo() {
+    if (!isProcessing()) return;
+
+    if (job.pending.length === 0) {
+        // Done once the last worker tab has reported back
+        if (job.inFlight.length === 0) finishJob();
+        return;
+    }
+
+    // Every worker slot busy: the next finished video calls us again
+    if (job.inFlight.length >= job.poolSize) return;
+
+    // Retried videos wait out their backoff; anything else in the queue can go first
+    const now = Date.now();
+    const nextIndex = job.pending.findIndex(v => !(job.retryAt[v.videoId] > now));
+    if (nextIndex === -1) {
+        const when = Math.min(...job.pending.map(v => job.retryAt[v.videoId]));
+        console.log(`[YCA Background] Only retries left, next attempt at ${new Date(when).toLocaleTimeString()}`);
+        chrome.alarms.create(RETRY_ALARM, { when });
+        return;
+    }
+
+    const [video] = job.pending.splice(nextIndex, 1);
+    const entry = { video, tabId: null, startedAt: new Date().toISOString() };
+    job.inFlight.push(entry);
+    JobStore.save(job);
+
+    // Alarms outlive worker suspension, unlike setTimeout
+    chrome.alarms.create(WATCHDOG_ALARM_PREFIX + video.videoId, { when: now + job.watchdog.timeoutSec * 1000 });
+
+    openVideoTab(entry);
+
+    // Fill the remaining slots one at a time rather than opening a burst of tabs
+    if (job.inFlight.length < job.poolSize) {
+        setTimeout(processNextVideo, 1000);
+    }
+}
+
+function openVideoTab(entry) {
+    const { video } = entry;
+
+    if (job.mode === 'api') {
+        requestViaApi(entry);
+        return;
+    }
 
     // Encode state into URL to survive service worker suspension/restarts
     const channelParam = encodeURIComponent(currentChannelName || '');
-    const ncaptureParam = currentOptions.ncapture ? '1' : '0';
+    const ncaptureParam = job.options.ncapture ? '1' : '0';
+    const options = job.options;
 
     // Append parameters for content script to read
     const videoUrl = `https://www.youtube.com/watch?v=${video.videoId}&autoplay=0&yca=1&yca_channel=${channelParam}&yca_ncapture=${ncaptureParam}`;
 
-    console.log(`[YCA Background] Opening tab for ${video.videoId} (${videoQueue.length} remaining)`);
+    console.log(`[YCA Background] Opening tab for ${video.videoId} (${job.inFlight.length}/${job.poolSize} workers busy, ${job.pending.length} remaining)`);
     console.log(`[YCA Background] URL: ${videoUrl}`);
 
-    // Open video in new tab with yca=1 parameter to trigger automatic extraction
-    // MUST be active:true so transcript button clicking works!
-    chrome.tabs.create({
-        url: videoUrl,
-        active: true
-    }, (tab) => {
+    const onTabCreated = (tab) => {
         console.log(`[YCA Background] Tab created: ${tab.id}`);
+        entry.tabId = tab.id;
+        JobStore.save(job);
+
         // We also set up a listener for this specific tab to trigger extraction when ready
         // This is a fallback/redundant trigger in case the URL param based trigger fails
         const listener = function (tabId, changeInfo, tabInfo) {
@@ -158,17 +857,208 @@ function processNextVideo() {
                 chrome.tabs.sendMessage(tabId, {
                     type: 'YCA_TRIGGER_EXTRACTION',
                     videoId: video.videoId,
-                    options: currentOptions // Pass options to content script
+                    options: options // Pass options to content script
                 });
                 // Remove listener after triggering (or we could keep it? better remove to avoid dupes)
                 chrome.tabs.onUpdated.removeListener(listener);
             }
         };
         chrome.tabs.onUpdated.addListener(listener);
+    };
+
+    // Open video in new tab with yca=1 parameter to trigger automatic extraction
+    // MUST be active:true so transcript button clicking works!
+    if (job.poolSize === 1) {
+        chrome.tabs.create({ url: videoUrl, active: true }, onTabCreated);
+        return;
+    }
+
+    // Only one tab per window can be active, so parallel workers each get a small
+    // unfocused window. Closing its only tab closes the window too.
+    chrome.windows.create({
+        url: videoUrl,
+        focused: false,
+        width: 900,
+        height: 700
+    }, (win) => onTabCreated(win.tabs[0]));
+}
+
+async function requestViaApi(entry) {
+    const { video } = entry;
+    entry.viaApi = true;
+
+    // Same options a worker tab would read from yca_session
+    const options = {
+        ...job.options,
+        channelName: currentChannelName || 'Unknown Channel'
+    };
+
+    console.log(`[YCA Background] Requesting ${video.videoId} via API (${job.inFlight.length}/${job.poolSize} busy, ${job.pending.length} remaining)`);
+
+    try {
+        const tabId = await ensureHostTab();
+        await sendToTabWithRetry(tabId, { type: 'YCA_FETCH_VIDEO_DETAILS', videoId: video.videoId, options });
+    } catch (e) {
+        console.error(`[YCA Background] Could not request ${video.videoId}:`, e);
+        handleVideoFailure(entry, `Could not reach the YouTube tab: ${e.message}`);
+    }
+}
+
+// One background YouTube tab per API-only job, reopened if it goes away
+async function ensureHostTab() {
+    if (job.hostTabId) {
+        const tab = await chrome.tabs.get(job.hostTabId).catch(() => null);
+        if (tab) {
+            if (tab.status !== 'complete') await waitForTabComplete(tab.id);
+            return tab.id;
+        }
+        job.hostTabId = null;
+    }
+
+    // Concurrent requests share one tab creation
+    if (!hostTabPromise) {
+        hostTabPromise = (async () => {
+            const tab = await chrome.tabs.create({ url: API_HOST_URL, active: false });
+            console.log(`[YCA Background] Opened API host tab ${tab.id}`);
+            job.hostTabId = tab.id;
+            JobStore.save(job);
+            await waitForTabComplete(tab.id);
+            return tab.id;
+        })().finally(() => {
+            hostTabPromise = null;
+        });
+    }
+    return hostTabPromise;
+}
+
+// The content script can lag a moment behind the tab's "complete" status
+async function sendToTabWithRetry(tabId, message, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, message);
+        } catch (e) {
+            if (attempt >= attempts) throw e;
+            await new Promise(r => setTimeout(r, 1000));
+        }
+    }
+}
+
+function waitForTabComplete(tabId, timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+        const done = (error) => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(listener);
+            error ? reject(error) : resolve();
+        };
+        const listener = (id, changeInfo) => {
+            if (id === tabId && changeInfo.status === 'complete') done();
+        };
+        const timer = setTimeout(() => done(new Error('YouTube tab did not finish loading')), timeoutMs);
+
+        chrome.tabs.onUpdated.addListener(listener);
+        chrome.tabs.get(tabId)
+            .then(tab => { if (tab.status === 'complete') done(); })
+            .catch(err => done(err));
     });
 }
 
-function saveVideoData(videoId, title, transcript, comments, chatReplay, options = null, channelName = null, duration = 0) {
+// Watchdog: a video tab that never reports back is closed and retried, then skipped
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(WATCHDOG_ALARM_PREFIX)) {
+        const videoId = alarm.name.slice(WATCHDOG_ALARM_PREFIX.length);
+        jobReady.then(() => handleVideoTimeout(videoId));
+    } else if (alarm.name === RETRY_ALARM) {
+        jobReady.then(() => processNextVideo());
+    } else if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+        jobReady.then(() => runSchedule(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length)));
+    } else if (alarm.name.startsWith(SCAN_TIMEOUT_ALARM_PREFIX)) {
+        expireScheduledScan(alarm.name.slice(SCAN_TIMEOUT_ALARM_PREFIX.length));
+    }
+});
+
+// A crashed or manually closed video tab counts as a failed attempt straight away
+chrome.tabs.onRemoved.addListener((tabId) => {
+    jobReady.then(() => {
+        if (!job) return;
+
+        // Losing the API host tab fails every video it was working on
+        if (job.hostTabId === tabId) {
+            job.hostTabId = null;
+            job.inFlight.filter(e => e.viaApi).forEach(e => handleVideoFailure(e, 'YouTube tab was closed before extraction finished'));
+            return;
+        }
+
+        const entry = job.inFlight.find(e => e.tabId === tabId);
+        if (entry) {
+            handleVideoFailure(entry, 'Tab was closed before extraction finished');
+        }
+    });
+});
+
+async function handleVideoTimeout(videoId) {
+    const entry = job ? job.inFlight.find(e => e.video.videoId === videoId) : null;
+    if (!entry) return; // Finished or requeued in the meantime
+
+    if (entry.viaApi) {
+        handleVideoFailure(entry, `No data after ${job.watchdog.timeoutSec}s`);
+        return;
+    }
+
+    const tab = entry.tabId !== null ? await chrome.tabs.get(entry.tabId).catch(() => null) : null;
+    handleVideoFailure(entry, describeStalledTab(tab, job.watchdog.timeoutSec));
+}
+
+// Best guess at why a tab never produced data, for the failure list
+function describeStalledTab(tab, timeoutSec) {
+    if (!tab) return 'Tab disappeared';
+    if (/^https:\/\/consent\./.test(tab.url || '')) return 'Blocked by the YouTube consent page';
+    if (/accounts\.google\.com/.test(tab.url || '')) return 'Sign-in required (age-restricted or private video)';
+    return `No data after ${timeoutSec}s`;
+}
+
+function handleVideoFailure(entry, reason) {
+    const index = job.inFlight.indexOf(entry);
+    if (index === -1) return;
+
+    const { video } = entry;
+    job.inFlight.splice(index, 1);
+    chrome.alarms.clear(WATCHDOG_ALARM_PREFIX + video.videoId);
+
+    // Out of the in-flight list first, so onRemoved ignores our own close
+    if (entry.tabId !== null) {
+        chrome.tabs.remove(entry.tabId).catch(() => { });
+    }
+
+    const attempts = (job.attempts[video.videoId] || 0) + 1;
+
+    if (attempts <= job.watchdog.retries) {
+        const backoffSec = RETRY_BACKOFF_SEC * 2 ** (attempts - 1);
+        console.warn(`[YCA Background] ${video.videoId} failed (${reason}), retry ${attempts}/${job.watchdog.retries} in ${backoffSec}s`);
+        job.attempts[video.videoId] = attempts;
+        job.retryAt[video.videoId] = Date.now() + backoffSec * 1000;
+        job.pending.unshift(video);
+    } else {
+        console.error(`[YCA Background] ${video.videoId} failed after ${attempts} attempts: ${reason}`);
+        delete job.attempts[video.videoId];
+        delete job.retryAt[video.videoId];
+        job.failed.push({
+            videoId: video.videoId,
+            title: video.title || null,
+            reason: attempts > 1 ? `${reason} (${attempts} attempts)` : reason
+        });
+    }
+
+    JobStore.save(job);
+    setTimeout(processNextVideo, 1000);
+}
+
+// Chat CSV/XLSX columns (events are built by parseChatItem in content/page-script.js)
+const CHAT_COLUMNS = [
+    'offsetMs', 'time', 'postedAt', 'type', 'author', 'authorChannelId', 'badges', 'message',
+    'amount', 'currency', 'amountText', 'sticker', 'giftCount', 'headerText', 'id'
+];
+
+function saveVideoData(videoId, title, transcript, comments, chatReplay, options = null, channelName = null, duration = 0, uploadDate = null, channelId = null, captions = null, chapters = null) {
     console.log(`[YCA Background] saveVideoData called for ${videoId}`);
     console.log(`[YCA Background] - Title: ${title}`);
     console.log(`[YCA Background] - Duration: ${duration} seconds`);
@@ -176,48 +1066,107 @@ function saveVideoData(videoId, title, transcript, comments, chatReplay, options
     console.log(`[YCA Background] - Comments: ${comments ? comments.length : 0}`);
     console.log(`[YCA Background] - Chat: ${chatReplay ? chatReplay.length : 0}`);
 
-    const safeTitle = title.replace(/[<>:"/\\|?*]/g, '_').substring(0, 100);
-
-    // Logic: Favor currentChannelName (Bulk/Global) if available.
-    let effectiveChannelName = currentChannelName;
+    const values = videoPathValues(videoId, title, channelName, channelId, uploadDate);
+    const pathFor = (kind, extension) => PathTemplate.filePath({
+        folderTemplate: outputSettings.folderTemplate,
+        fileTemplate: outputSettings.fileTemplate,
+        kind,
+        extension,
+        values
+    });
 
-    if (!effectiveChannelName && channelName && channelName !== 'Unknown Channel') {
-        effectiveChannelName = channelName;
-    }
+    console.log(`[YCA Background] Transcript path: ${pathFor('transcript', '.txt')}`);
 
-    if (!effectiveChannelName) {
-        effectiveChannelName = "Unknown Channel";
-    }
+    // Tallied for the job manifest (see saveJobReport)
+    const files = [];
+    let bytes = 0;
+    const write = (path, content, forceUTF16LE = false, isBase64 = false) => {
+        const result = downloadTextFile(path, content, forceUTF16LE, isBase64, videoId);
+        bytes += result.bytes;
+        files.push(path);
+        return result.written;
+    };
+    // A recorded live chat is only deleted from the page once all of these are stored
+    const chatWrites = [];
 
-    const folder = `${effectiveChannelName}/${safeTitle}_${videoId}`;
-
-    console.log(`[YCA Background] Folder path: ${folder}`);
+    // Subtitle files next to a transcript (options page: "Subtitles"); line-level cues, or the segments of older data
+    const writeSubtitles = (kind, source) => {
+        const cues = source.cues || source.segments;
+        if (!cues || cues.length === 0) return;
+        if (options?.exportSrt) write(pathFor(kind, '.srt'), SubtitleFormatter.toSrt(cues));
+        if (options?.exportVtt) write(pathFor(kind, '.vtt'), SubtitleFormatter.toVtt(cues));
+    };
 
     // Save transcript
     if (transcript) {
         console.log(`[YCA Background] Calling downloadTextFile for transcript`);
         const textContent = typeof transcript === 'object' ? transcript.text : transcript;
-        downloadTextFile(`${folder}/transcript.txt`, textContent, true); // true = UTF-16LE encoding for NVivo
+        write(pathFor('transcript', '.txt'), textContent, true); // true = UTF-16LE encoding for NVivo
+
+        // Timed segments for analysis tools (options page: "Also save transcript.json")
+        if (options?.transcriptJson && transcript.segments) {
+            write(pathFor('transcript', '.json'), JSON.stringify({
+                videoId,
+                title,
+                format: options.transcriptFormat || 'auto',
+                segments: transcript.segments
+            }, null, 2));
+        }
+
+        if (typeof transcript === 'object') writeSubtitles('transcript', transcript);
     } else {
         console.log(`[YCA Background] No transcript to save`);
     }
 
+    // One file per caption language (options page: "Caption languages"),
+    // e.g. transcript_de_uploaded.txt, transcript_en_auto.txt, transcript_fr_translated.txt
+    const captionTracks = (captions?.available || []).map(track => ({ ...track, file: null }));
+    (captions?.transcripts || []).forEach(track => {
+        const path = pathFor(`transcript_${track.languageCode}_${track.kind}`, '.txt');
+        write(path, track.text, true); // UTF-16LE like the main transcript
+        writeSubtitles(`transcript_${track.languageCode}_${track.kind}`, track);
+        const listed = captionTracks.find(t => t.languageCode === track.languageCode && t.kind === track.kind);
+        if (listed) {
+            listed.file = path;
+        } else {
+            captionTracks.push({ languageCode: track.languageCode, name: track.name, kind: track.kind, translatedFrom: track.translatedFrom, file: path });
+        }
+    });
+
+    if (captions && captions.mode !== 'default' && captionTracks.length > 0) {
+        write(pathFor('captions', '.json'), JSON.stringify({
+            videoId,
+            mode: captions.mode,
+            capturedAt: new Date().toISOString(),
+            tracks: captionTracks
+        }, null, 2));
+    }
+
+    // Chapter list, and with the chaptered layout a WebVTT chapters track next to transcript.vtt
+    const chaptered = options?.chapteredTranscript === true && chapters?.length > 0;
+    if (chapters && chapters.length > 0) {
+        write(pathFor('chapters', '.json'), JSON.stringify({ videoId, title, chapters }, null, 2));
+        if (chaptered && options?.exportVtt) {
+            // Without a duration the last chapter ends with the transcript
+            const timed = typeof transcript === 'object' ? transcript?.cues || transcript?.segments || [] : [];
+            const transcriptEndMs = timed.reduce((end, cue) => Math.max(end, cue.endMs ?? 0), 0) || null;
+            const chaptersVtt = SubtitleFormatter.chaptersToVtt(chapters, transcriptEndMs);
+            if (chaptersVtt) {
+                write(pathFor('chapters', '.vtt'), chaptersVtt);
+            } else {
+                console.log(`[YCA Background] Length of the last chapter unknown, no chapters.vtt for ${videoId}`);
+            }
+        }
+    }
+
     // Save comments
     if (comments && comments.length > 0) {
         console.log(`[YCA Background] Calling downloadTextFile for comments`);
-        downloadTextFile(`${folder}/comments.json`, JSON.stringify(comments, null, 2));
+        write(pathFor('comments', '.json'), JSON.stringify(comments, null, 2));
     } else {
         console.log(`[YCA Background] No comments to save`);
     }
 
-    // Save chat replay
-    if (chatReplay && chatReplay.length > 0) {
-        console.log(`[YCA Background] Calling downloadTextFile for chat`);
-        downloadTextFile(`${folder}/chat_replay.json`, JSON.stringify(chatReplay, null, 2));
-    } else {
-        console.log(`[YCA Background] No chat to save`);
-    }
-
     // Save XLSX (Replacing NCapture)
     let xlsxEnabled = true; // Default to true
 
@@ -225,6 +1174,35 @@ function saveVideoData(videoId, title, transcript, comments, chatReplay, options
         xlsxEnabled = options.exportXlsx;
     }
 
+    // Save chat replay (or a live chat recorded on the watch page)
+    if (chatReplay && chatReplay.length > 0) {
+        console.log(`[YCA Background] Calling downloadTextFile for chat`);
+        const chatKind = options?.chatRecording ? 'liveChat' : 'chat';
+
+        // Chaptered layout: a chapter column after the time
+        let chatEvents = chatReplay;
+        let chatColumns = CHAT_COLUMNS;
+        if (chaptered) {
+            chatEvents = chatReplay.map(event => ({ ...event, chapter: chapterTitleAt(chapters, event.offsetMs) }));
+            chatColumns = [...CHAT_COLUMNS];
+            chatColumns.splice(chatColumns.indexOf('time') + 1, 0, 'chapter');
+        }
+
+        chatWrites.push(write(pathFor(chatKind, '.json'), JSON.stringify(chatEvents, null, 2)));
+        chatWrites.push(write(pathFor(chatKind, '.csv'), CSVExporter.generate(chatEvents, chatColumns)));
+
+        if (xlsxEnabled) {
+            try {
+                chatWrites.push(write(pathFor(chatKind, '.xlsx'), XLSXExporter.generateChat(chatEvents, chatColumns), false, true));
+            } catch (err) {
+                console.error('[YCA Background] Chat XLSX generation failed:', err);
+                chatWrites.push(Promise.resolve({ ok: false, error: `Chat XLSX generation failed: ${err.message}` }));
+            }
+        }
+    } else {
+        console.log(`[YCA Background] No chat to save`);
+    }
+
     console.log('[YCA Background] Checking XLSX export condition:');
     console.log(`[YCA Background] - Enabled: ${xlsxEnabled}`);
 
@@ -243,39 +1221,340 @@ function saveVideoData(videoId, title, transcript, comments, chatReplay, options
 
             const xlsxContent = XLSXExporter.generate(videoDataForXlsx);
 
-            // Filename format: "Title Comments.xlsx"
-            const filename = `${safeTitle} Comments.xlsx`;
-            const fullPath = `${folder}/${filename}`;
-
-            downloadTextFile(fullPath, xlsxContent, false, true); // isBase64 = true
+            // Default filename format: "Title Comments.xlsx"
+            write(pathFor('xlsx', '.xlsx'), xlsxContent, false, true); // isBase64 = true
         } catch (err) {
             console.error('[YCA Background] XLSX generation failed:', err);
         }
     }
 
     console.log(`[YCA Background] Saved data for ${videoId}`);
+
+    const topLevel = (comments || []).filter(c => !c.isReply);
+    const replies = (comments || []).reduce((sum, c) => sum + (c.isReply ? 1 : 0) + (c.replies ? c.replies.length : 0), 0);
+    const stats = {
+        transcriptSegments: transcript?.segments ? transcript.segments.length : 0,
+        captionTracks,
+        comments: topLevel.length,
+        replies,
+        chatMessages: chatReplay ? chatReplay.length : 0,
+        chapters: chapters ? chapters.length : 0,
+        bytes,
+        files
+    };
+    // First failed chat file, or { ok: true }
+    const chatSaved = Promise.all(chatWrites).then(results => results.find(result => !result.ok) || { ok: true });
+    return { stats, chatSaved };
 }
 
-function downloadTextFile(filename, content, forceUTF16LE = false, isBase64 = false) {
-    console.log(`[YCA Background] Attempting download: ${filename}`);
-    console.log(`[YCA Background] Content length: ${content.length} chars`);
+// Title of the chapter playing at `offsetMs` ('' before the first one)
+function chapterTitleAt(chapters, offsetMs) {
+    let title = '';
+    for (const chapter of chapters) {
+        if (chapter.startMs <= offsetMs) title = chapter.title;
+    }
+    return title;
+}
 
-    let dataUrl;
+// Logic: Favor currentChannelName (Bulk/Global) if available.
+// Playlist jobs have no global channel, so each video is filed under its own channel.
+function resolveChannelName(videoId, pageChannelName = null) {
+    let effectiveChannelName = currentChannelName || jobVideos.get(videoId)?.channelName;
+
+    if (!effectiveChannelName && pageChannelName && pageChannelName !== 'Unknown Channel') {
+        effectiveChannelName = pageChannelName;
+    }
+
+    return effectiveChannelName || 'Unknown Channel';
+}
+
+// Token values for utils/path-template.js
+function videoPathValues(videoId, title = null, pageChannelName = null, pageChannelId = null, uploadDate = null) {
+    const video = jobVideos.get(videoId);
+    const position = video && currentPlaylist ? video.playlistIndex || job.videos.indexOf(video) + 1 : null;
+
+    return {
+        channel: resolveChannelName(videoId, pageChannelName),
+        channelId: video?.channelId || currentChannelId || pageChannelId || 'unknown-channel',
+        videoId,
+        title: title || video?.title || videoId,
+        uploadDate: uploadDate || video?.publishDate || 'undated',
+        // Zero-padded so folders sort in playlist order
+        playlistIndex: position ? String(position).padStart(String(job.videos.length).length, '0') : '',
+        captureDate: PathTemplate.today()
+    };
+}
+
+function sanitizeFileName(name) {
+    return PathTemplate.sanitizeSegment(name.substring(0, 100));
+}
+
+// Records the playlist order; the videos themselves land in their channel folders
+function savePlaylistIndex(playlist, videos) {
+    const folder = `Playlists/${sanitizeFileName(playlist.title)}_${playlist.playlistId}`;
+
+    const index = {
+        playlistId: playlist.playlistId,
+        title: playlist.title,
+        url: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+        capturedAt: new Date().toISOString(),
+        videos: videos.map((video, i) => ({
+            position: video.playlistIndex || i + 1,
+            videoId: video.videoId,
+            title: video.title,
+            channelId: video.channelId || null,
+            channelName: video.channelName || null,
+            url: `https://www.youtube.com/watch?v=${video.videoId}`
+        }))
+    };
+
+    console.log(`[YCA Background] Saving playlist index (${videos.length} videos) to ${folder}`);
+    downloadTextFile(`${folder}/playlist.json`, JSON.stringify(index, null, 2));
+}
+
+const VIDEO_INDEX_COLUMNS = [
+    'videoId', 'title', 'contentType', 'duration', 'durationText', 'viewCount',
+    'publishedTime', 'publishDate', 'thumbnailUrl', 'badges', 'url'
+];
+
+// Channel-level videos.json / videos.csv next to the per-video folders, built from scan metadata
+// Groups videos by the folder the folder template shares between a channel's videos
+function groupByChannelFolder(videos) {
+    const byFolder = new Map();
+    videos.forEach(video => {
+        const folder = PathTemplate.channelFolder(outputSettings.folderTemplate, videoPathValues(video.videoId));
+        if (!byFolder.has(folder)) byFolder.set(folder, []);
+        byFolder.get(folder).push(video);
+    });
+    return byFolder;
+}
+
+function saveChannelIndex(videos) {
+    const byFolder = groupByChannelFolder(videos);
+
+    const capturedAt = new Date().toISOString();
+
+    byFolder.forEach((channelVideos, folder) => {
+        const channel = resolveChannelName(channelVideos[0].videoId);
+        const prefix = folder ? `${folder}/` : '';
+        const rows = channelVideos.map(video => ({
+            videoId: video.videoId,
+            title: video.title,
+            contentType: video.contentType || null,
+            duration: video.duration ?? null,
+            durationText: video.durationText || null,
+            viewCount: video.viewCount ?? null,
+            publishedTime: video.publishedTime || null,
+            publishDate: video.publishDate || null, // Approximate unless scheduled
+            thumbnailUrl: video.thumbnailUrl || null,
+            badges: video.badges || [],
+            url: `https://www.youtube.com/watch?v=${video.videoId}`
+        }));
+
+        console.log(`[YCA Background] Saving channel index (${rows.length} videos) for ${channel} in ${folder || 'archive root'}`);
+        downloadTextFile(`${prefix}videos.json`, JSON.stringify({
+            channelId: channelVideos[0].channelId || currentChannelId,
+            channelName: channel,
+            capturedAt,
+            videos: rows
+        }, null, 2));
+        downloadTextFile(`${prefix}videos.csv`, CSVExporter.generate(rows, VIDEO_INDEX_COLUMNS));
+    });
+}
+
+const REPORT_COLUMNS = [
+    'videoId', 'title', 'status', 'reason', 'transcriptSegments', 'captionLanguages', 'chapters', 'comments', 'replies',
+    'chatMessages', 'bytes', 'startedAt', 'capturedAt', 'options', 'url'
+];
+
+// manifest.json + report.csv per channel folder: what the job attempted and what each video produced
+function saveJobReport() {
+    const failedById = new Map(job.failed.map(f => [f.videoId, f]));
+    const finishedAt = new Date().toISOString();
+
+    const describe = (video) => {
+        const result = job.results[video.videoId] || null;
+        const failure = failedById.get(video.videoId);
+        return {
+            videoId: video.videoId,
+            title: video.title,
+            channelId: video.channelId || currentChannelId || null,
+            status: result ? 'done' : failure ? 'failed' : job.cancelled ? 'cancelled' : 'pending',
+            reason: failure ? failure.reason : null,
+            transcriptSegments: result?.transcriptSegments ?? null,
+            captionTracks: result?.captionTracks || [],
+            chapters: result?.chapters ?? null,
+            comments: result?.comments ?? null,
+            replies: result?.replies ?? null,
+            chatMessages: result?.chatMessages ?? null,
+            bytes: result?.bytes ?? null,
+            files: result?.files || [],
+            startedAt: result?.startedAt || null,
+            capturedAt: result?.capturedAt || null,
+            options: result?.options || job.options,
+            url: `https://www.youtube.com/watch?v=${video.videoId}`
+        };
+    };
+
+    groupByChannelFolder(job.videos).forEach((folderVideos, folder) => {
+        const entries = folderVideos.map(describe);
+        const sum = key => entries.reduce((total, entry) => total + (entry[key] || 0), 0);
+        const prefix = folder ? `${folder}/` : '';
 
+        const manifest = {
+            jobId: job.id,
+            createdAt: job.createdAt,
+            finishedAt,
+            cancelled: job.cancelled,
+            channelId: job.channelId,
+            channelName: job.channelName,
+            playlist: job.playlist ? { playlistId: job.playlist.playlistId, title: job.playlist.title } : null,
+            settings: {
+                mode: job.mode,
+                poolSize: job.poolSize,
+                watchdog: job.watchdog,
+                folderTemplate: outputSettings.folderTemplate || null,
+                fileTemplate: outputSettings.fileTemplate || null,
+                zip: job.zip ? job.zip.name : null
+            },
+            options: job.options,
+            totals: {
+                videos: entries.length,
+                done: entries.filter(e => e.status === 'done').length,
+                failed: entries.filter(e => e.status === 'failed').length,
+                pending: entries.filter(e => e.status === 'pending' || e.status === 'cancelled').length,
+                transcriptSegments: sum('transcriptSegments'),
+                comments: sum('comments'),
+                replies: sum('replies'),
+                chatMessages: sum('chatMessages'),
+                bytes: sum('bytes')
+            },
+            videos: entries
+        };
+
+        const rows = entries.map(entry => ({
+            ...entry,
+            // Saved tracks only, e.g. "de (uploaded); en (translated)"
+            captionLanguages: entry.captionTracks.filter(t => t.file).map(t => `${t.languageCode} (${t.kind})`),
+            options: Object.entries(entry.options || {}).map(([key, value]) => `${key}=${value}`)
+        }));
+
+        console.log(`[YCA Background] Saving job report (${entries.length} videos) in ${folder || 'archive root'}`);
+        downloadTextFile(`${prefix}manifest.json`, JSON.stringify(manifest, null, 2));
+        downloadTextFile(`${prefix}report.csv`, CSVExporter.generate(rows, REPORT_COLUMNS));
+    });
+}
+
+// Output sink: files of a ZIP job go into its archive, everything else into the
+// chosen archive folder, or to the downloads folder when none is set.
+// `written` resolves with { ok: true } once the file is stored (or its download started), else { ok: false, error }
+function downloadTextFile(filename, content, forceUTF16LE = false, isBase64 = false, videoId = null) {
+    let encoding = 'utf8';
     if (isBase64) {
         // Content is already base64 (e.g. XLSX)
-        dataUrl = `data:application/octet-stream;base64,${content}`;
-        console.log('[YCA Background] Using provided Base64 content');
+        encoding = 'base64';
     } else if (filename.endsWith('.nvcx') || forceUTF16LE) {
         // Special handling for UTF-16LE
-        let str = content;
+        encoding = 'utf16le';
         if (!filename.endsWith('.nvcx')) {
-            str = '\uFEFF' + str;
+            content = '\uFEFF' + content;
         }
+    }
 
-        const codeUnits = new Uint16Array(str.length);
-        for (let i = 0; i < str.length; i++) {
-            codeUnits[i] = str.charCodeAt(i);
+    let written;
+    // Single videos extracted by hand while a job runs still download directly
+    if (job && job.zip && (videoId === null || jobVideos.has(videoId))) {
+        written = addToZip(filename, content, encoding, videoId);
+    } else {
+        const policy = outputSettings.conflictPolicy || DEFAULT_CONFLICT_POLICY;
+        if (outputSettings.outputFolder === true) {
+            written = writeToFolder(filename, content, encoding, policy);
+        } else {
+            written = downloadViaDataUrl(filename, content, encoding, policy);
+        }
+    }
+
+    return { bytes: encodedLength(content, encoding), written };
+}
+
+// Size of the file on disk, without encoding it twice
+function encodedLength(content, encoding) {
+    if (encoding === 'base64') {
+        const padding = content.endsWith('==') ? 2 : content.endsWith('=') ? 1 : 0;
+        return Math.floor(content.length * 3 / 4) - padding;
+    }
+    if (encoding === 'utf16le') return content.length * 2;
+    return new TextEncoder().encode(content).length;
+}
+
+function writeToFolder(filename, content, encoding, policy) {
+    return sendToOffscreen({ type: 'YCA_FOLDER_WRITE', path: filename, content, encoding, policy }).then(response => {
+        if (response.ok) {
+            console.log(`[YCA Background] ${response.skipped ? 'Already in folder, skipped' : 'Written to folder'}: ${response.path}`);
+            return response;
+        }
+
+        // Folder gone or access lost: don't drop the file, and let the popup ask for access again
+        if (response.noAccess) chrome.storage.local.set({ outputFolderNeedsAccess: true });
+        console.warn(`[YCA Background] Folder write failed, downloading ${filename} instead`);
+        return downloadViaDataUrl(filename, content, encoding, policy);
+    });
+}
+
+// chrome.downloads can't skip, so 'skip' looks for an earlier download that still exists
+const DOWNLOAD_CONFLICT_ACTIONS = { overwrite: 'overwrite', version: 'uniquify', skip: 'uniquify' };
+
+async function downloadedBefore(filename) {
+    const escaped = filename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\//g, '[\\\\/]');
+    const items = await chrome.downloads.search({ filenameRegex: `[\\\\/]${escaped}$`, exists: true, limit: 1 });
+    return items.length > 0;
+}
+
+// 'version' names files like the archive folder does (transcript.txt -> transcript_v2.txt...),
+// judged by the download history; 'uniquify' still covers a file Chrome did not download itself
+async function versionedDownloadName(filename) {
+    if (!await downloadedBefore(filename)) return filename;
+
+    const slash = filename.lastIndexOf('/');
+    const dot = filename.lastIndexOf('.');
+    const base = dot > slash + 1 ? filename.slice(0, dot) : filename;
+    const ext = dot > slash + 1 ? filename.slice(dot) : '';
+    let version = 2;
+    while (await downloadedBefore(`${base}_v${version}${ext}`)) version++;
+    return `${base}_v${version}${ext}`;
+}
+
+// Resolves with { ok: true } once the download has started, { ok: false, error } if it could not
+async function downloadViaDataUrl(filename, content, encoding, policy = DEFAULT_CONFLICT_POLICY) {
+    try {
+        return await startDataUrlDownload(filename, content, encoding, policy);
+    } catch (err) {
+        console.error('[YCA Background] Download FAILED:', err);
+        return { ok: false, error: err.message };
+    }
+}
+
+async function startDataUrlDownload(filename, content, encoding, policy) {
+    if (policy === 'skip' && await downloadedBefore(filename)) {
+        console.log(`[YCA Background] Already downloaded, skipped: ${filename}`);
+        return { ok: true, skipped: true };
+    }
+    if (policy === 'version') {
+        filename = await versionedDownloadName(filename);
+    }
+
+    console.log(`[YCA Background] Attempting download: ${filename}`);
+    console.log(`[YCA Background] Content length: ${content.length} chars`);
+
+    let dataUrl;
+
+    if (encoding === 'base64') {
+        dataUrl = `data:application/octet-stream;base64,${content}`;
+        console.log('[YCA Background] Using provided Base64 content');
+    } else if (encoding === 'utf16le') {
+        const codeUnits = new Uint16Array(content.length);
+        for (let i = 0; i < content.length; i++) {
+            codeUnits[i] = content.charCodeAt(i);
         }
 
         let binary = '';
@@ -296,15 +1575,121 @@ function downloadTextFile(filename, content, forceUTF16LE = false, isBase64 = fa
 
     console.log(`[YCA Background] Data URL created, length: ${dataUrl.length}`);
 
-    chrome.downloads.download({
-        url: dataUrl,
-        filename: filename,
-        saveAs: false
-    }, (downloadId) => {
+    return new Promise(resolve => {
+        chrome.downloads.download({
+            url: dataUrl,
+            filename: filename,
+            saveAs: false,
+            conflictAction: DOWNLOAD_CONFLICT_ACTIONS[policy] || 'uniquify'
+        }, (downloadId) => {
+            if (chrome.runtime.lastError) {
+                console.error('[YCA Background] Download FAILED:', chrome.runtime.lastError);
+                resolve({ ok: false, error: chrome.runtime.lastError.message });
+            } else {
+                console.log(`[YCA Background] Download SUCCESS: ${filename} (ID: ${downloadId})`);
+                resolve({ ok: true, downloadId });
+            }
+        });
+    });
+}
+
+// --- ZIP output (see offscreen/offscreen.js) ---
+
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+let creatingOffscreen = null;
+
+// Keeps offscreen messages in order and behind offscreen document creation
+let offscreenChain = Promise.resolve();
+
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+    });
+    if (contexts.length > 0) return;
+
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: OFFSCREEN_URL,
+            reasons: ['BLOBS'],
+            justification: 'Assemble job ZIP archives as blob URLs and write files into the chosen archive folder'
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+    await creatingOffscreen;
+}
+
+// Always resolves with the offscreen response, { ok: false, error } on failure
+function sendToOffscreen(message) {
+    offscreenChain = offscreenChain
+        .then(async () => {
+            await ensureOffscreenDocument();
+            const response = await chrome.runtime.sendMessage(message);
+            if (response && !response.ok) {
+                console.error(`[YCA Background] ${message.type} failed:`, response.error);
+            }
+            return response || { ok: false, error: 'No response from offscreen document' };
+        })
+        .catch(err => {
+            console.error(`[YCA Background] ${message.type} failed:`, err);
+            return { ok: false, error: err.message };
+        });
+    return offscreenChain;
+}
+
+// Channel whose archive history a video is recorded in
+function archiveChannelFor(videoId, pageChannelId = null) {
+    return jobVideos.get(videoId)?.channelId || (isProcessing() && currentChannelId) || pageChannelId;
+}
+
+function addToZip(path, content, encoding, videoId) {
+    console.log(`[YCA Background] Adding to ZIP: ${path} (${content.length} chars)`);
+    return sendToOffscreen({
+        type: 'YCA_ZIP_ADD',
+        jobId: job.id,
+        name: job.zip.name,
+        volumeBytes: job.zip.volumeMB * 1024 * 1024,
+        firstVolume: job.zip.nextVolume,
+        path,
+        content,
+        encoding,
+        videoId,
+        // Travels with the volume, which can arrive after the job is finished
+        channelId: videoId ? archiveChannelFor(videoId) : null
+    });
+}
+
+function handleZipVolume({ jobId, url, filename, volume, videoIds, channelIds = {} }) {
+    console.log(`[YCA Background] Downloading ZIP volume ${filename}`);
+    chrome.downloads.download({ url, filename, saveAs: false }, (downloadId) => {
         if (chrome.runtime.lastError) {
-            console.error('[YCA Background] Download FAILED:', chrome.runtime.lastError);
+            console.error('[YCA Background] ZIP download FAILED:', chrome.runtime.lastError);
         } else {
-            console.log(`[YCA Background] Download SUCCESS: ${filename} (ID: ${downloadId})`);
+            console.log(`[YCA Background] ZIP download started: ${filename} (ID: ${downloadId})`);
+            // Only now are the volume's videos archived for "only new" selections
+            videoIds.forEach(videoId => ArchiveHistory.markArchived(channelIds[videoId], videoId));
         }
     });
+
+    // Those videos are safely on disk now; a restart no longer needs to redo them
+    if (job && job.id === jobId) {
+        const flushed = new Set(videoIds);
+        job.zip.unflushed = job.zip.unflushed.filter(id => !flushed.has(id));
+        job.zip.nextVolume = volume + 1;
+        JobStore.save(job);
+    }
 }
+
+// Release the offscreen blob once Chrome has copied it to disk
+chrome.downloads.onChanged.addListener((delta) => {
+    const state = delta.state?.current;
+    if (state !== 'complete' && state !== 'interrupted') return;
+
+    chrome.downloads.search({ id: delta.id }, (items) => {
+        const url = items?.[0]?.url || '';
+        if (url.startsWith(`blob:${chrome.runtime.getURL('')}`)) {
+            sendToOffscreen({ type: 'YCA_ZIP_REVOKE', url });
+        }
+    });
+});
@@ -28,8 +28,65 @@ if (document.readyState === 'loading') {
 
 
 // UI Logic
+
+// Button label follows the page type (the button survives SPA navigation)
+function scanButtonLabel() {
+    return window.location.pathname === '/playlist' ? 'YCA Scan Playlist' : 'YCA Scan Channel';
+}
+
+// Live chat recording state of this watch page, reported by page-script.js
+let liveChatStatus = null;
+
+function liveChatButtonLabel(status) {
+    if (status.recording) return `Stop chat recording (${status.saved})`;
+    if (status.isLive) return status.saved > 0 ? `Resume chat recording (${status.saved} saved)` : 'YCA Record Live Chat';
+    return `Save recorded chat (${status.saved})`;
+}
+
+// Shown next to the scan button on live streams, and on streams with an unsaved recording
+function renderLiveChatButton() {
+    const status = liveChatStatus;
+    const show = status && status.videoId && (status.isLive || status.recording || status.saved > 0);
+    let btn = document.getElementById('yca-chat-btn');
+    if (!show) {
+        if (btn) btn.remove();
+        return;
+    }
+
+    const scanBtn = document.getElementById('yca-scan-btn');
+    if (!scanBtn) return;
+
+    if (!btn) {
+        btn = scanBtn.cloneNode(false); // Same styling
+        btn.id = 'yca-chat-btn';
+        btn.disabled = false;
+        btn.onmouseenter = () => btn.style.backgroundColor = '#ff0000';
+        btn.onmouseleave = () => btn.style.backgroundColor = '#cc0000';
+        btn.onclick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            // Stopping (or saving a finished recording) exports the chat
+            const type = liveChatStatus.recording || !liveChatStatus.isLive ? 'YCA_LIVE_CHAT_STOP' : 'YCA_LIVE_CHAT_START';
+            console.log(`[YCA] Live chat button: ${type}`);
+            window.postMessage({ source: 'YCA_CONTENT_SCRIPT', type }, window.location.origin);
+        };
+        scanBtn.after(btn);
+    }
+
+    const label = liveChatButtonLabel(status);
+    if (btn.innerText !== label) btn.innerText = label;
+}
+
 function injectUI() {
-    if (document.getElementById('yca-scan-btn')) return;
+    const existingBtn = document.getElementById('yca-scan-btn');
+    if (existingBtn) {
+        // Only touch the label when it changes, otherwise the MutationObserver re-fires forever
+        if (!existingBtn.disabled && existingBtn.innerText !== scanButtonLabel()) {
+            existingBtn.innerText = scanButtonLabel();
+        }
+        renderLiveChatButton();
+        return;
+    }
 
     // Stable containers for channel headers (before "next to subscribe" attempts)
     const container = document.querySelector('#buttons.ytd-c4-tabbed-header-renderer') ||
@@ -41,7 +98,7 @@ function injectUI() {
 
     const btn = document.createElement('button');
     btn.id = 'yca-scan-btn';
-    btn.innerText = 'YCA Scan Channel';
+    btn.innerText = scanButtonLabel();
 
     // Standard styling with "no-shrink" fix
     btn.style.cssText = `
@@ -70,7 +127,7 @@ function injectUI() {
     btn.onclick = (e) => {
         e.preventDefault();
         e.stopPropagation();
-        console.log('[YCA] Button clicked: YCA Scan Channel');
+        console.log(`[YCA] Button clicked: ${btn.innerText}`);
         window.postMessage({ type: 'YCA_START_SCAN' }, '*');
     };
 
@@ -88,6 +145,9 @@ injectUI();
 
 // Message Listeners
 
+// Set while this tab runs a scheduled scan for the background
+let scheduledRunId = null;
+
 // 1. window.message (Main World -> Content Script)
 window.addEventListener('message', (event) => {
     if (event.source !== window) return;
@@ -95,8 +155,20 @@ window.addEventListener('message', (event) => {
 
     switch (type) {
         case 'YCA_SCAN_PROGRESS':
+            // Scheduled scans can page for minutes; the progress messages keep the service worker awake
+            if (scheduledRunId) {
+                chrome.runtime.sendMessage({ type: 'YCA_SCHEDULED_SCAN_PROGRESS', payload: { runId: scheduledRunId, count: payload.count } });
+            }
+
             const statusProgress = document.getElementById('yca-status');
             if (statusProgress) statusProgress.innerText = `Scanned: ${payload.count} videos`;
+
+            // Mirror progress on the header button while the scan pages through the channel
+            const scanBtn = document.getElementById('yca-scan-btn');
+            if (scanBtn) {
+                scanBtn.innerText = payload.done ? scanButtonLabel() : `Scanning... ${payload.count}`;
+                scanBtn.disabled = !payload.done;
+            }
             break;
 
         case 'YCA_SCAN_COMPLETE':
@@ -109,6 +181,12 @@ window.addEventListener('message', (event) => {
             });
             break;
 
+        case 'YCA_SCHEDULED_SCAN_RESULT':
+            console.log(`[YCA Content] Scheduled scan finished: ${payload.error || `${payload.videos.length} videos`}`);
+            scheduledRunId = null;
+            chrome.runtime.sendMessage({ type: 'YCA_SCHEDULED_SCAN_RESULT', payload });
+            break;
+
         case 'YCA_START_DOWNLOAD_REQUEST':
             console.log('[YCA Content] Forwarding download request to background');
             chrome.runtime.sendMessage({
@@ -122,8 +200,29 @@ window.addEventListener('message', (event) => {
             chrome.runtime.sendMessage(event.data);
             break;
 
-        case 'YCA_FETCH_VIDEO_DETAILS':
-            chrome.runtime.sendMessage({ type: 'YCA_FETCH_VIDEO_DETAILS', payload: payload });
+        case 'YCA_GET_ARCHIVE_HISTORY':
+            // Main world cannot read chrome.storage; answer with { videoId: archivedAt } merged over channels.
+            // Keys match utils/archive-history.js (`yca_archive_<channelId>`).
+            const historyKeys = (payload.channelIds || []).filter(Boolean).map(id => `yca_archive_${id}`);
+            chrome.storage.local.get(historyKeys, (result) => {
+                const archived = {};
+                Object.values(result || {}).forEach(channelHistory => Object.assign(archived, channelHistory));
+                window.postMessage({ type: 'YCA_ARCHIVE_HISTORY', requestId: event.data.requestId, payload: archived }, '*');
+            });
+            break;
+
+        case 'YCA_LIVE_CHAT_STATUS':
+            liveChatStatus = payload;
+            renderLiveChatButton();
+            if (payload.notice) showCustomAlert(payload.notice);
+            break;
+
+        case 'YCA_GET_EXTRACTION_SETTINGS':
+            // Options page settings live with the service worker (utils/extraction-settings.js)
+            chrome.runtime.sendMessage({ type: 'YCA_GET_EXTRACTION_SETTINGS' }, (settings) => {
+                if (chrome.runtime.lastError) console.warn('[YCA Content] Settings unavailable:', chrome.runtime.lastError.message);
+                window.postMessage({ type: 'YCA_EXTRACTION_SETTINGS', requestId: event.data.requestId, payload: settings || {} }, '*');
+            });
             break;
     }
 });
@@ -133,11 +232,33 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log('[YCA Content] Message from background:', message.type);
 
     if (message.type === 'YCA_FETCH_VIDEO_DETAILS') {
-        window.postMessage({ type: 'YCA_FETCH_VIDEO_DETAILS', payload: message }, '*');
+        // API-only mode: this tab extracts a video it is not showing
+        waitForPageScriptAndFetch(message.videoId, message.options);
+        sendResponse({ ok: true });
     } else if (message.type === 'YCA_QUEUE_COMPLETE') {
+        const summary = message.summary;
+        const failed = summary ? summary.failed : [];
+        let text = failed.length === 0
+            ? 'All downloads complete!'
+            : `Archived ${summary.done} of ${summary.total} videos. ${failed.length} failed:`;
+        if (summary && summary.cancelled) {
+            text = `Job cancelled. Archived ${summary.done} of ${summary.total} videos.` + (failed.length ? ` ${failed.length} failed:` : '');
+        }
+
         const status = document.getElementById('yca-status');
-        if (status) status.innerText = 'All downloads complete!';
-        showCustomAlert('All downloads complete!');
+        if (status) status.innerText = text;
+        showCustomAlert(text, failed.map(f => `${f.title || f.videoId} (${f.videoId}): ${f.reason}`));
+    } else if (message.type === 'YCA_SCAN_URL') {
+        // Toolbar popup: scan a channel/playlist that is not the current page
+        console.log('[YCA Content] Scan requested for', message.url);
+        window.postMessage({ type: 'YCA_START_SCAN', payload: { url: message.url } }, '*');
+        sendResponse({ ok: true });
+    } else if (message.type === 'YCA_RUN_SCHEDULED_SCAN') {
+        // Scheduled archiving: scan without UI and report the videos to the background
+        console.log('[YCA Content] Scheduled scan requested for', message.url);
+        scheduledRunId = message.runId;
+        window.postMessage({ type: 'YCA_START_SCAN', payload: { url: message.url, headless: true, runId: message.runId } }, '*');
+        sendResponse({ ok: true });
     } else if (message.type === 'YCA_TRIGGER_EXTRACTION') {
         console.log('[YCA Content] Received TRIGGER_EXTRACTION from background');
         // Use the centralized function which handles waiting and idempotency
@@ -146,7 +267,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // Helper: Custom Modal to replace window.alert
-function showCustomAlert(message) {
+function showCustomAlert(message, details = []) {
     // Remove existing if any
     const existing = document.getElementById('yca-custom-alert');
     if (existing) existing.remove();
@@ -202,6 +323,26 @@ function showCustomAlert(message) {
         line-height: 1.5;
     `;
 
+    // Optional scrollable list, e.g. videos that failed
+    let list = null;
+    if (details.length > 0) {
+        list = document.createElement('ul');
+        list.style.cssText = `
+            margin: -8px 0 24px 0;
+            padding-left: 20px;
+            max-height: 240px;
+            overflow-y: auto;
+            text-align: left;
+            font-size: 13px;
+            line-height: 1.5;
+        `;
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.innerText = detail;
+            list.appendChild(item);
+        });
+    }
+
     const btn = document.createElement('button');
     btn.innerText = 'OK';
     btn.style.cssText = `
@@ -226,6 +367,7 @@ function showCustomAlert(message) {
 
     modal.appendChild(title);
     modal.appendChild(text);
+    if (list) modal.appendChild(list);
     modal.appendChild(btn);
     overlay.appendChild(modal);
     document.body.appendChild(overlay);
@@ -283,9 +425,15 @@ window.addEventListener('message', (event) => {
 
     // Data Extraction Result
     if (message.type === 'YCA_DATA_EXTRACTED') {
-        const { videoId, title, transcript, comments, chatReplay, options, channelName, duration } = message.data;
+        const { videoId, title, transcript, captions, chapters, comments, chatReplay, options, channelName, channelId, duration, uploadDate, error } = message.data;
 
         console.log('[YCA Content] Data received for', videoId);
+
+        if (error) {
+            console.warn('[YCA Content] Extraction failed for', videoId, error);
+            chrome.runtime.sendMessage({ type: 'YCA_VIDEO_DATA_READY', payload: { videoId, error } });
+            return;
+        }
         console.log('[YCA Content] Duration:', duration, 'seconds');
 
         // Serialize comments
@@ -308,27 +456,56 @@ window.addEventListener('message', (event) => {
             serializedComments = comments.map(serializeComment);
         }
 
-        // Inject export options from storage (default to true for replacement)
-        chrome.storage.local.get(['exportXlsx'], (result) => {
-            const exportXlsx = result.exportXlsx === true; // Default false
-
-            // Merge into options (prioritize existing option from modal if set)
-            const finalOptions = { exportXlsx, ...(options || {}) };
+        // A recorded live chat stays in the page's database until the service worker confirms the save
+        const reportLiveChatSaved = (response) => {
+            if (options?.chatRecording !== true) return;
+            window.postMessage({
+                source: 'YCA_CONTENT_SCRIPT',
+                type: 'YCA_LIVE_CHAT_SAVED',
+                videoId,
+                ok: response?.saved === true,
+                error: response?.error || null
+            }, window.location.origin);
+        };
 
-            chrome.runtime.sendMessage({
-                type: 'YCA_VIDEO_DATA_READY',
-                payload: {
-                    videoId,
-                    title,
-                    duration, // Include duration
-                    transcript,
-                    comments: serializedComments,
-                    chatReplay,
-                    options: finalOptions,
-                    channelName
-                }
+        try {
+            // Inject export options from storage (default to true for replacement)
+            chrome.storage.local.get(['exportXlsx'], (result) => {
+                const exportXlsx = result.exportXlsx === true; // Default false
+
+                // Merge into options (prioritize existing option from modal if set)
+                const finalOptions = { exportXlsx, ...(options || {}) };
+
+                chrome.runtime.sendMessage({
+                    type: 'YCA_VIDEO_DATA_READY',
+                    payload: {
+                        videoId,
+                        title,
+                        duration, // Include duration
+                        uploadDate,
+                        transcript,
+                        captions,
+                        chapters,
+                        comments: serializedComments,
+                        chatReplay,
+                        options: finalOptions,
+                        channelName,
+                        channelId
+                    }
+                }, (response) => {
+                    if (chrome.runtime.lastError) {
+                        console.warn('[YCA Content] Service worker did not confirm', videoId, chrome.runtime.lastError.message);
+                        reportLiveChatSaved({ saved: false, error: chrome.runtime.lastError.message });
+                        return;
+                    }
+                    reportLiveChatSaved(response);
+                });
             });
-        });
+        } catch (e) {
+            // Extension reloaded or updated: this page's content script can no longer reach it
+            console.error('[YCA Content] Could not forward data for', videoId, e);
+            reportLiveChatSaved({ saved: false, error: e.message });
+        }
     }
 });
 
@@ -361,6 +538,24 @@ async function waitForPageScriptAndExtract(videoId, options = {}, maxWait = 1500
     }, window.location.origin);
 }
 
+// API-only mode: fetch a video's data from this page without navigating to it
+async function waitForPageScriptAndFetch(videoId, options = {}, maxWait = 15000) {
+    injectPageScript(); // Ensure it's there
+
+    const startTime = Date.now();
+    while (!pageScriptReady && (Date.now() - startTime) < maxWait) {
+        await new Promise(r => setTimeout(r, 500));
+    }
+
+    console.log('[YCA Content] Requesting API-only extraction for', videoId);
+    window.postMessage({
+        source: 'YCA_CONTENT_SCRIPT',
+        type: 'YCA_FETCH_VIDEO_DETAILS',
+        videoId: videoId,
+        options: options
+    }, window.location.origin);
+}
+
 // Auto-run for automated downloads (URL param)
 const urlParams = new URLSearchParams(window.location.search);
 if (urlParams.get('yca') === '1') {
@@ -371,10 +566,10 @@ if (urlParams.get('yca') === '1') {
         chrome.storage.local.get('yca_session', (result) => {
             const session = result.yca_session || {};
 
+            // Job options carry the options page settings (transcript format, comment sort, ...)
             const options = {
-                channelName: session.channelName || 'Unknown Channel',
-                ncapture: session.options ? session.options.ncapture : false,
-                exportXlsx: session.options ? session.options.exportXlsx : false
+                ...(session.options || {}),
+                channelName: session.channelName || 'Unknown Channel'
             };
 
             console.log('[YCA Content] Automated download detected. Session:', session);
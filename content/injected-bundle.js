@@ -1,6 +1,7 @@
 /**
- * Bundled Injected Script - SIMPLIFIED VERSION
- * Extracts videos from page data after user scrolls
+ * Bundled Injected Script
+ * Lists channel videos, Shorts, streams and podcast episodes via Innertube browse
+ * pagination (page data as fallback)
  */
 
 (function () {
@@ -46,6 +47,20 @@
             return response.json();
         }
 
+        async browse(browseId, params = null) {
+            const payload = { browseId };
+            if (params) payload.params = params;
+            return this.call('browse', payload);
+        }
+
+        async browseContinuation(continuation) {
+            return this.call('browse', { continuation });
+        }
+
+        async resolveUrl(url) {
+            return this.call('navigation/resolve_url', { url });
+        }
+
         async getVideoData(videoId) {
             return this.call('player', { videoId });
         }
@@ -58,113 +73,302 @@
         }
     }
 
-    // Simple scanner that reads from page
-    class ChannelScanner {
-        constructor() {
-            this.isScanning = false;
+    // Resolves @handle, /c/, /user/ and /channel/ references to a UC ID + title
+    class ChannelResolver {
+        constructor(innertube) {
+            this.innertube = innertube;
         }
 
-        async scan(channelId, onProgress) {
-            if (this.isScanning) throw new Error('Scan in progress');
-            this.isScanning = true;
+        /**
+         * Normalizes a channel reference to https://www.youtube.com/<channel path>.
+         * Returns null if the input is not a channel reference (e.g. a watch URL).
+         */
+        static normalize(input) {
+            let value = String(input || '').trim();
+            if (/^UC[\w-]{22}$/.test(value)) return `https://www.youtube.com/channel/${value}`;
+            if (/^@[^/\s?#]+$/.test(value)) return `https://www.youtube.com/${value}`;
+            if (/^(www\.|m\.)?youtube\.com\//.test(value)) value = `https://${value}`;
 
+            let path = value;
             try {
-                console.log('[YCA] Scanning from page data...');
-                const videos = [];
-
-                // Method 1: Extract from ytInitialData
-                console.log('[YCA] window.ytInitialData exists:', !!window.ytInitialData);
-                if (window.ytInitialData) {
-                    const tabs = window.ytInitialData.contents?.twoColumnBrowseResultsRenderer?.tabs;
-                    console.log('[YCA] Tabs found:', !!tabs, 'count:', tabs?.length);
-                    if (tabs) {
-                        const selectedTab = tabs.find(t => t.tabRenderer?.selected);
-                        console.log('[YCA] Selected tab found:', !!selectedTab);
-                        const sections = selectedTab?.tabRenderer?.content?.sectionListRenderer?.contents;
-                        console.log('[YCA] Sections found:', sections?.length);
-
-                        if (sections) {
-                            sections.forEach(section => {
-                                const items = section.itemSectionRenderer?.contents;
-                                if (items) {
-                                    items.forEach(item => {
-                                        if (item.shelfRenderer) {
-                                            const shelfItems = item.shelfRenderer.content?.horizontalListRenderer?.items ||
-                                                item.shelfRenderer.content?.expandedShelfContentsRenderer?.items;
-                                            if (shelfItems) {
-                                                shelfItems.forEach(shelfItem => {
-                                                    const vr = shelfItem.gridVideoRenderer || shelfItem.videoRenderer;
-                                                    if (vr?.videoId) {
-                                                        videos.push({
-                                                            videoId: vr.videoId,
-                                                            title: vr.title?.runs?.[0]?.text || vr.title?.simpleText || 'Untitled'
-                                                        });
-                                                    }
-                                                });
-                                            }
-                                        }
-                                    });
-                                }
-                            });
-                        }
-                    }
+                path = new URL(value, 'https://www.youtube.com').pathname;
+            } catch (e) { }
+
+            // Keep only the channel part of the path (/@handle/videos -> /@handle)
+            const match = path.match(/^\/(@[^/]+|channel\/UC[\w-]{22}|c\/[^/]+|user\/[^/]+)/);
+            return match ? `https://www.youtube.com/${match[1]}` : null;
+        }
+
+        /**
+         * @returns {Promise<{channelId: string, title: string|null, url: string}|null>}
+         *          null when the input is not a channel reference
+         */
+        async resolve(input) {
+            const url = ChannelResolver.normalize(input);
+            if (!url) return null;
+
+            let channelId = url.match(/\/channel\/(UC[\w-]{22})/)?.[1];
+            if (!channelId) {
+                const response = await this.innertube.resolveUrl(url);
+                channelId = response.endpoint?.browseEndpoint?.browseId;
+                if (!channelId?.startsWith('UC')) {
+                    throw new Error(`${input} does not resolve to a channel`);
                 }
+            }
 
-                console.log('[YCA] Videos from ytInitialData:', videos.length);
+            const channel = await this.innertube.browse(channelId);
+            const title = channel.metadata?.channelMetadataRenderer?.title ||
+                channel.header?.c4TabbedHeaderRenderer?.title ||
+                channel.header?.pageHeaderRenderer?.pageTitle ||
+                null;
 
-                // Method 2: Extract from DOM
-                console.log('[YCA] Extracting from DOM...');
-                const videoElements = document.querySelectorAll('ytd-grid-video-renderer, ytd-rich-item-renderer');
-                console.log('[YCA] Found DOM video elements:', videoElements.length);
+            console.log(`[YCA] Resolved ${input} -> ${channelId} (${title})`);
+            return { channelId, title, url };
+        }
+    }
 
-                let domCount = 0;
-                videoElements.forEach((el, idx) => {
-                    try {
-                        // Try multiple ways to get the video link
-                        let videoId = null;
-                        let title = null;
+    // Channel tabs a scan enumerates, in priority order (a video listed on several
+    // tabs keeps the type of the first one). `params` selects the tab in a browse call.
+    const CONTENT_TABS = [
+        { type: 'video', label: 'Videos', path: '/videos', params: 'EgZ2aWRlb3M%3D' },
+        { type: 'short', label: 'Shorts', path: '/shorts', params: 'EgZzaG9ydHM%3D' },
+        { type: 'live', label: 'Live', path: '/streams', params: 'EgdzdHJlYW1z' },
+        { type: 'podcast', label: 'Podcasts', path: '/podcasts', params: 'Eghwb2RjYXN0cw%3D%3D' }
+    ];
 
-                        // Method 1: #video-title with href
-                        let titleEl = el.querySelector('#video-title');
-                        if (titleEl?.href) {
-                            videoId = titleEl.href.match(/watch\?v=([^&]+)/)?.[1];
-                            title = titleEl.textContent?.trim();
-                        }
+    // Browse response parser
+    const Parser = {
+        /**
+         * Extracts videos, playlists (Podcasts tab) and the next continuation token
+         * from a channel tab / playlist browse response or a continuation response.
+         * Every video is tagged with `contentType`; Shorts renderers are always 'short'.
+         */
+        parseChannelVideos(data, contentType = 'video') {
+            const videos = [];
+            const playlists = [];
+            let continuationToken = null;
 
-                        // Method 2: a#video-title-link
-                        if (!videoId) {
-                            titleEl = el.querySelector('a#video-title-link');
-                            if (titleEl?.href) {
-                                videoId = titleEl.href.match(/watch\?v=([^&]+)/)?.[1];
-                                title = titleEl.getAttribute('title') || titleEl.textContent?.trim();
-                            }
-                        }
+            const processItems = (items) => {
+                if (!items) return;
+                items.forEach(item => {
+                    const content = item.richItemRenderer?.content || item;
 
-                        // Method 3: Any link with /watch?v=
-                        if (!videoId) {
-                            const links = el.querySelectorAll('a[href*="/watch?v="]');
-                            if (links.length > 0) {
-                                videoId = links[0].href.match(/watch\?v=([^&]+)/)?.[1];
-                                titleEl = el.querySelector('#video-title, h3, .title');
-                                title = titleEl?.textContent?.trim();
-                            }
+                    const vr = content.gridVideoRenderer || content.videoRenderer || content.playlistVideoRenderer;
+                    if (vr?.videoId) {
+                        const video = {
+                            videoId: vr.videoId,
+                            title: vr.title?.runs?.[0]?.text || vr.title?.simpleText || 'Untitled',
+                            contentType,
+                            ...Parser.parseVideoMetadata(vr)
+                        };
+
+                        // Playlist items carry their own channel in the byline
+                        const byline = vr.shortBylineText?.runs?.[0] || vr.ownerText?.runs?.[0];
+                        if (byline?.navigationEndpoint?.browseEndpoint?.browseId) {
+                            video.channelId = byline.navigationEndpoint.browseEndpoint.browseId;
+                            video.channelName = byline.text;
                         }
 
-                        if (videoId && title) {
-                            videos.push({ videoId, title });
-                            domCount++;
-                        } else if (idx < 5) {
-                            console.log(`[YCA] Failed element ${idx}: videoId=${videoId}, title=${!!title}`);
+                        videos.push(video);
+                    } else if (content.reelItemRenderer?.videoId) {
+                        const reel = content.reelItemRenderer;
+                        videos.push({
+                            videoId: reel.videoId,
+                            title: reel.headline?.simpleText || reel.headline?.runs?.[0]?.text || 'Untitled',
+                            contentType: 'short',
+                            ...Parser.parseVideoMetadata(reel)
+                        });
+                    } else if (content.shortsLockupViewModel) {
+                        const lockup = content.shortsLockupViewModel;
+                        const videoId = lockup.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId ||
+                            lockup.entityId?.replace('shorts-shelf-item-', '');
+                        if (videoId) {
+                            videos.push({
+                                videoId,
+                                title: lockup.overlayMetadata?.primaryText?.content || 'Untitled',
+                                contentType: 'short',
+                                ...Parser.parseVideoMetadata(lockup)
+                            });
                         }
-                    } catch (e) {
-                        if (idx < 5) console.log(`[YCA] Error on element ${idx}:`, e);
+                    } else if (content.playlistRenderer || content.gridPlaylistRenderer) {
+                        const pr = content.playlistRenderer || content.gridPlaylistRenderer;
+                        playlists.push({
+                            playlistId: pr.playlistId,
+                            title: pr.title?.simpleText || pr.title?.runs?.[0]?.text || ''
+                        });
+                    } else if (content.lockupViewModel?.contentId &&
+                        content.lockupViewModel.contentType !== 'LOCKUP_CONTENT_TYPE_VIDEO') {
+                        const lockup = content.lockupViewModel;
+                        playlists.push({
+                            playlistId: lockup.contentId,
+                            title: lockup.metadata?.lockupMetadataViewModel?.title?.content || ''
+                        });
+                    } else if (content.continuationItemRenderer) {
+                        continuationToken = content.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token || null;
                     }
                 });
+            };
+
+            // 1. Initial browse response (Tabs -> selected Tab -> RichGrid or SectionList -> Contents)
+            const tabs = data.contents?.twoColumnBrowseResultsRenderer?.tabs;
+            if (tabs) {
+                const selectedTab = tabs.find(t => t.tabRenderer?.selected);
+                const tabContent = selectedTab?.tabRenderer?.content;
+                processItems(tabContent?.richGridRenderer?.contents);
+
+                // Playlist pages (VL...) nest their items in a playlistVideoListRenderer
+                tabContent?.sectionListRenderer?.contents?.forEach(section => {
+                    section.itemSectionRenderer?.contents?.forEach(sectionItem => {
+                        processItems(sectionItem.playlistVideoListRenderer?.contents ||
+                            sectionItem.gridRenderer?.items);
+                    });
+                });
+            }
+
+            // 2. Continuation response
+            const actions = data.onResponseReceivedActions || data.onResponseReceivedEndpoints;
+            if (actions) {
+                actions.forEach(action => {
+                    processItems(action.appendContinuationItemsAction?.continuationItems ||
+                        action.reloadContinuationItemsCommand?.continuationItems);
+                });
+            }
+
+            return { videos, playlists, continuationToken };
+        },
+
+        /**
+         * Returns the URL of the tab a browse response actually selected.
+         * YouTube falls back to the Home tab when the channel has no such tab.
+         */
+        getSelectedTabUrl(data) {
+            const tabs = data.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+            const selectedTab = tabs.find(t => t.tabRenderer?.selected);
+            return selectedTab?.tabRenderer?.endpoint?.commandMetadata?.webCommandMetadata?.url || '';
+        },
+
+        /**
+         * Pulls duration, view count, publish date, thumbnail and badges out of any
+         * video renderer (grid/video/playlist items, reels and Shorts lockups).
+         * `publishDate` is approximated from relative text ("3 weeks ago") unless the
+         * renderer carries an exact scheduled start time.
+         */
+        parseVideoMetadata(renderer) {
+            const overlays = renderer.thumbnailOverlays || [];
+            const timeStatus = overlays.find(o => o.thumbnailOverlayTimeStatusRenderer)?.thumbnailOverlayTimeStatusRenderer;
+
+            const durationText = renderer.lengthText?.simpleText || timeStatus?.text?.simpleText || null;
+            const duration = renderer.lengthSeconds ? parseInt(renderer.lengthSeconds, 10) : Parser.parseDuration(durationText);
+
+            // Playlist items pack "views • age" into videoInfo runs
+            const infoRuns = renderer.videoInfo?.runs || [];
+            const viewText = Parser.textOf(renderer.viewCountText) ||
+                infoRuns[0]?.text ||
+                renderer.overlayMetadata?.secondaryText?.content || '';
+            const publishedTime = Parser.textOf(renderer.publishedTimeText) || infoRuns[2]?.text || null;
+
+            const thumbnails = renderer.thumbnail?.thumbnails || renderer.thumbnail?.sources || [];
+
+            const badges = [];
+            const badgeStyles = (renderer.badges || []).map(b => b.metadataBadgeRenderer?.style);
+            if (badgeStyles.includes('BADGE_STYLE_TYPE_MEMBERS_ONLY')) badges.push('members-only');
+            if (badgeStyles.includes('BADGE_STYLE_TYPE_LIVE_NOW') || timeStatus?.style === 'LIVE') badges.push('live-now');
+            if (renderer.upcomingEventData || timeStatus?.style === 'UPCOMING') badges.push('upcoming');
+            const premiereText = `${Parser.textOf(renderer.upcomingEventData?.upcomingEventText)} ${publishedTime || ''}`;
+            if (/premiere/i.test(premiereText)) badges.push('premiere');
+
+            const startTime = renderer.upcomingEventData?.startTime;
+            const publishDate = startTime
+                ? new Date(parseInt(startTime, 10) * 1000).toISOString().slice(0, 10)
+                : Parser.parseRelativeDate(publishedTime);
+
+            return {
+                duration,
+                durationText,
+                viewCount: badges.includes('upcoming') ? null : Parser.parseCount(viewText),
+                publishedTime,
+                publishDate,
+                thumbnailUrl: thumbnails[thumbnails.length - 1]?.url || null,
+                badges
+            };
+        },
+
+        textOf(text) {
+            if (!text) return '';
+            return text.simpleText || text.runs?.map(r => r.text).join('') || '';
+        },
+
+        // "1:02:03" -> 3723
+        parseDuration(text) {
+            if (!text || !/^\d+(:\d+)+$/.test(text.trim())) return null;
+            return text.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+        },
 
-                console.log('[YCA] Videos extracted from DOM:', domCount);
+        // "1,234 views" -> 1234, "1.2M views" -> 1200000, "No views" -> 0
+        parseCount(text) {
+            if (!text) return null;
+            if (/^no /i.test(text.trim())) return 0;
+            const match = text.replace(/,/g, '').match(/([\d.]+)\s*([KMB])?/i);
+            if (!match) return null;
+            const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+            return Math.round(parseFloat(match[1]) * multiplier);
+        },
 
-                // Deduplicate
-                const uniqueVideos = Array.from(new Map(videos.map(v => [v.videoId, v])).values());
+        // "Streamed 3 weeks ago" -> approximate YYYY-MM-DD
+        parseRelativeDate(text) {
+            const match = text?.match(/(\d+)\s*(second|minute|hour|day|week|month|year)/i);
+            if (!match) return null;
+
+            const date = new Date();
+            const num = parseInt(match[1], 10);
+            switch (match[2].toLowerCase()) {
+                case 'second': date.setSeconds(date.getSeconds() - num); break;
+                case 'minute': date.setMinutes(date.getMinutes() - num); break;
+                case 'hour': date.setHours(date.getHours() - num); break;
+                case 'day': date.setDate(date.getDate() - num); break;
+                case 'week': date.setDate(date.getDate() - num * 7); break;
+                case 'month': date.setMonth(date.getMonth() - num); break;
+                case 'year': date.setFullYear(date.getFullYear() - num); break;
+            }
+            return date.toISOString().slice(0, 10);
+        },
+
+        getPlaylistTitle(data) {
+            return data.metadata?.playlistMetadataRenderer?.title ||
+                data.header?.playlistHeaderRenderer?.title?.simpleText ||
+                data.header?.pageHeaderRenderer?.pageTitle ||
+                null;
+        }
+    };
+
+    // Channel scanner: pages through the Videos, Shorts, Live and Podcasts tabs via
+    // Innertube, falls back to page data
+    class ChannelScanner {
+        constructor() {
+            this.innertube = new Innertube();
+            this.isScanning = false;
+        }
+
+        async scan(channelId, onProgress) {
+            if (this.isScanning) throw new Error('Scan in progress');
+            this.isScanning = true;
+
+            try {
+                let videos = [];
+                try {
+                    videos = await this.scanViaApi(channelId, onProgress);
+                } catch (e) {
+                    console.warn('[YCA] API scan failed, falling back to page data:', e);
+                }
+
+                if (videos.length === 0) {
+                    console.log('[YCA] API scan returned nothing, reading rendered page data');
+                    videos = this.scanPageData().map(v => ({ ...v, contentType: 'video' }));
+                }
+
+                // Deduplicate (first occurrence wins, so Videos beats Podcasts)
+                const seen = new Set();
+                const uniqueVideos = videos.filter(v => !seen.has(v.videoId) && seen.add(v.videoId));
 
                 console.log('[YCA] Found', uniqueVideos.length, 'videos');
                 if (onProgress) onProgress(uniqueVideos.length);
@@ -175,6 +379,209 @@
                 this.isScanning = false;
             }
         }
+
+        stop() {
+            this.isScanning = false;
+        }
+
+        // Enumerates every content tab; a failing tab is skipped rather than aborting the scan
+        async scanViaApi(channelId, onProgress) {
+            const videos = [];
+
+            for (const tab of CONTENT_TABS) {
+                if (!this.isScanning) break;
+
+                try {
+                    const tabVideos = await this.scanTab(channelId, tab, (count) => {
+                        if (onProgress) onProgress(videos.length + count);
+                    });
+                    console.log(`[YCA] ${tab.label} tab: ${tabVideos.length} videos`);
+                    videos.push(...tabVideos);
+                } catch (e) {
+                    console.warn(`[YCA] ${tab.label} tab scan failed:`, e);
+                }
+            }
+
+            return videos;
+        }
+
+        // Follows the browse continuation tokens until the whole tab is listed
+        async scanTab(channelId, tab, onProgress) {
+            const response = await this.innertube.browse(channelId, tab.params);
+
+            const selectedUrl = Parser.getSelectedTabUrl(response);
+            if (selectedUrl && !selectedUrl.endsWith(tab.path)) {
+                console.log(`[YCA] Channel has no ${tab.label} tab (got ${selectedUrl}), skipping`);
+                return [];
+            }
+
+            const { videos, playlists } = await this.collectPages(response, tab.type, onProgress);
+
+            // The Podcasts tab lists shows; expand each show into its episodes
+            for (const playlist of playlists) {
+                if (!this.isScanning) break;
+                const episodes = await this.scanPlaylist(playlist.playlistId, tab.type, (count) => {
+                    if (onProgress) onProgress(videos.length + count);
+                });
+                videos.push(...episodes);
+            }
+
+            return videos;
+        }
+
+        async scanPlaylist(playlistId, contentType, onProgress) {
+            const response = await this.innertube.browse(`VL${playlistId}`);
+            const { videos } = await this.collectPages(response, contentType, onProgress);
+            return videos;
+        }
+
+        // Lists a whole playlist in playlist order; each video keeps its own channel
+        async scanPlaylistPage(playlistId, onProgress) {
+            if (this.isScanning) throw new Error('Scan in progress');
+            this.isScanning = true;
+
+            try {
+                const response = await this.innertube.browse(`VL${playlistId}`);
+                const title = Parser.getPlaylistTitle(response) || playlistId;
+                const { videos } = await this.collectPages(response, 'video', onProgress);
+
+                // A playlist may list the same video twice; keep the first position
+                const seen = new Set();
+                const ordered = videos
+                    .filter(v => !seen.has(v.videoId) && seen.add(v.videoId))
+                    .map((v, i) => ({ ...v, playlistIndex: i + 1 }));
+
+                console.log(`[YCA] Playlist "${title}": ${ordered.length} videos`);
+                return { playlistId, title, videos: ordered };
+
+            } finally {
+                this.isScanning = false;
+            }
+        }
+
+        async collectPages(response, contentType, onProgress) {
+            let result = Parser.parseChannelVideos(response, contentType);
+
+            const videos = [...result.videos];
+            const playlists = [...result.playlists];
+            let continuation = result.continuationToken;
+
+            if (onProgress) onProgress(videos.length);
+
+            while (continuation && this.isScanning) {
+                // Throttle between pages to stay under YouTube's rate limits
+                await new Promise(r => setTimeout(r, 500 + Math.random() * 1000));
+
+                response = await this.innertube.browseContinuation(continuation);
+                result = Parser.parseChannelVideos(response, contentType);
+
+                videos.push(...result.videos);
+                playlists.push(...result.playlists);
+                continuation = result.continuationToken;
+
+                if (onProgress) onProgress(videos.length);
+            }
+
+            return { videos, playlists };
+        }
+
+        // Reads only what is already rendered (ytInitialData shelves + DOM items)
+        scanPageData() {
+            console.log('[YCA] Scanning from page data...');
+            const videos = [];
+
+            // Method 1: Extract from ytInitialData
+            console.log('[YCA] window.ytInitialData exists:', !!window.ytInitialData);
+            if (window.ytInitialData) {
+                const tabs = window.ytInitialData.contents?.twoColumnBrowseResultsRenderer?.tabs;
+                console.log('[YCA] Tabs found:', !!tabs, 'count:', tabs?.length);
+                if (tabs) {
+                    const selectedTab = tabs.find(t => t.tabRenderer?.selected);
+                    console.log('[YCA] Selected tab found:', !!selectedTab);
+                    const sections = selectedTab?.tabRenderer?.content?.sectionListRenderer?.contents;
+                    console.log('[YCA] Sections found:', sections?.length);
+
+                    if (sections) {
+                        sections.forEach(section => {
+                            const items = section.itemSectionRenderer?.contents;
+                            if (items) {
+                                items.forEach(item => {
+                                    if (item.shelfRenderer) {
+                                        const shelfItems = item.shelfRenderer.content?.horizontalListRenderer?.items ||
+                                            item.shelfRenderer.content?.expandedShelfContentsRenderer?.items;
+                                        if (shelfItems) {
+                                            shelfItems.forEach(shelfItem => {
+                                                const vr = shelfItem.gridVideoRenderer || shelfItem.videoRenderer;
+                                                if (vr?.videoId) {
+                                                    videos.push({
+                                                        videoId: vr.videoId,
+                                                        title: vr.title?.runs?.[0]?.text || vr.title?.simpleText || 'Untitled'
+                                                    });
+                                                }
+                                            });
+                                        }
+                                    }
+                                });
+                            }
+                        });
+                    }
+                }
+            }
+
+            console.log('[YCA] Videos from ytInitialData:', videos.length);
+
+            // Method 2: Extract from DOM
+            console.log('[YCA] Extracting from DOM...');
+            const videoElements = document.querySelectorAll('ytd-grid-video-renderer, ytd-rich-item-renderer');
+            console.log('[YCA] Found DOM video elements:', videoElements.length);
+
+            let domCount = 0;
+            videoElements.forEach((el, idx) => {
+                try {
+                    // Try multiple ways to get the video link
+                    let videoId = null;
+                    let title = null;
+
+                    // Method 1: #video-title with href
+                    let titleEl = el.querySelector('#video-title');
+                    if (titleEl?.href) {
+                        videoId = titleEl.href.match(/watch\?v=([^&]+)/)?.[1];
+                        title = titleEl.textContent?.trim();
+                    }
+
+                    // Method 2: a#video-title-link
+                    if (!videoId) {
+                        titleEl = el.querySelector('a#video-title-link');
+                        if (titleEl?.href) {
+                            videoId = titleEl.href.match(/watch\?v=([^&]+)/)?.[1];
+                            title = titleEl.getAttribute('title') || titleEl.textContent?.trim();
+                        }
+                    }
+
+                    // Method 3: Any link with /watch?v=
+                    if (!videoId) {
+                        const links = el.querySelectorAll('a[href*="/watch?v="]');
+                        if (links.length > 0) {
+                            videoId = links[0].href.match(/watch\?v=([^&]+)/)?.[1];
+                            titleEl = el.querySelector('#video-title, h3, .title');
+                            title = titleEl?.textContent?.trim();
+                        }
+                    }
+
+                    if (videoId && title) {
+                        videos.push({ videoId, title });
+                        domCount++;
+                    } else if (idx < 5) {
+                        console.log(`[YCA] Failed element ${idx}: videoId=${videoId}, title=${!!title}`);
+                    }
+                } catch (e) {
+                    if (idx < 5) console.log(`[YCA] Error on element ${idx}:`, e);
+                }
+            });
+
+            console.log('[YCA] Videos extracted from DOM:', domCount);
+            return videos;
+        }
     }
 
     // Message Handler
@@ -184,10 +591,26 @@
         if (event.data.type === 'YCA_START_SCAN') {
             console.log('[YCA] Received START_SCAN');
 
+            // A URL in the message comes from the toolbar popup ("scan any channel");
+            // otherwise the scan targets the page the button was clicked on
+            const requestedUrl = event.data.payload?.url || null;
+
+            // Scheduled runs (background tab) report back to the service worker
+            // instead of opening the selection popup or alerting
+            const headless = event.data.payload?.headless === true;
+            const runId = event.data.payload?.runId || null;
+            const report = (result) => window.postMessage({ type: 'YCA_SCHEDULED_SCAN_RESULT', payload: { runId, ...result } }, '*');
+            const fail = (message) => headless ? report({ error: message }) : alert(message);
+
+            let targetUrl = new URL(window.location.href);
+            try {
+                if (requestedUrl) targetUrl = new URL(requestedUrl, window.location.origin);
+            } catch (e) { }
+
             // Strategy: Check for Single Video (Watch Page) first
-            const urlParams = new URLSearchParams(window.location.search);
+            const urlParams = targetUrl.searchParams;
             const currentVideoId = urlParams.get('v');
-            if (currentVideoId && window.location.pathname === '/watch') {
+            if (!requestedUrl && currentVideoId && window.location.pathname === '/watch') {
                 console.log('[YCA] Detected Watch Page. Showing Single Video Selection.');
                 const title = document.title.replace(' - YouTube', '');
                 const video = { videoId: currentVideoId, title: title };
@@ -197,10 +620,58 @@
                 return;
             }
 
+            // Playlist page: list the playlist instead of a channel
+            const playlistId = urlParams.get('list');
+            if (playlistId && targetUrl.pathname === '/playlist') {
+                console.log('[YCA] Detected Playlist Page:', playlistId);
+                try {
+                    const scanner = new ChannelScanner();
+                    const playlist = await scanner.scanPlaylistPage(playlistId, (count) => {
+                        window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count } }, '*');
+                    });
+
+                    window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count: playlist.videos.length, done: true } }, '*');
+                    if (headless) {
+                        report({ videos: playlist.videos, channelId: null, channelName: null, playlist: { playlistId, title: playlist.title } });
+                    } else {
+                        showVideoSelectionPopup(playlist.videos, null, null, { playlistId, title: playlist.title });
+                    }
+
+                } catch (e) {
+                    console.error('[YCA] Playlist scan error:', e);
+                    window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count: 0, done: true } }, '*');
+                    fail('Playlist scan failed: ' + e.message);
+                }
+                return;
+            }
+
             let channelId = null;
             let channelName = null;
+
+            // Preferred: resolve the URL through Innertube. Unlike ytcfg / meta tags this
+            // never returns a stale channel after SPA navigation.
             try {
-                if (window.ytcfg && window.ytcfg.get) {
+                const channel = await new ChannelResolver(new Innertube()).resolve(requestedUrl || window.location.href);
+                if (channel) {
+                    channelId = channel.channelId;
+                    channelName = channel.title;
+                }
+            } catch (e) {
+                console.warn('[YCA] Channel resolve failed:', e);
+                if (requestedUrl) {
+                    fail(`Could not resolve channel: ${e.message}`);
+                    return;
+                }
+            }
+
+            if (!channelId && requestedUrl) {
+                fail(`Not a channel or playlist URL: ${requestedUrl}`);
+                return;
+            }
+
+            // Fallback: page heuristics (only when scanning the current page)
+            try {
+                if (!channelId && window.ytcfg && window.ytcfg.get) {
                     const client = window.ytcfg.get('INNERTUBE_CONTEXT')?.client;
                     if (client?.browseId) channelId = client.browseId;
                 }
@@ -240,7 +711,8 @@
                 console.log('3. ytd-channel-name formatted:', getVisibleText('ytd-channel-name yt-formatted-string'));
                 console.log('4. #channel-name:', getVisibleText('#channel-name'));
 
-                channelName = docTitleName ||
+                channelName = channelName ||
+                    docTitleName ||
                     getVisibleText('#channel-header-container #text.ytd-channel-name') ||
                     getVisibleText('ytd-channel-name yt-formatted-string') ||
                     getVisibleText('#channel-name') ||
@@ -255,7 +727,7 @@
             console.log('[YCA] Channel Name:', channelName);
 
             if (!channelId) {
-                alert('Could not find Channel ID');
+                fail('Could not find Channel ID');
                 return;
             }
 
@@ -265,18 +737,86 @@
                     window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count } }, '*');
                 });
 
-                console.log('[YCA] Scan complete, showing popup');
-                showVideoSelectionPopup(videos, channelId, channelName);
+                window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count: videos.length, done: true } }, '*');
+
+                if (headless) {
+                    console.log('[YCA] Scheduled scan complete, reporting to background');
+                    report({ videos, channelId, channelName, playlist: null });
+                } else {
+                    console.log('[YCA] Scan complete, showing popup');
+                    showVideoSelectionPopup(videos, channelId, channelName);
+                }
 
             } catch (e) {
                 console.error('[YCA] Scan error:', e);
-                alert('Scan failed: ' + e.message);
+                window.postMessage({ type: 'YCA_SCAN_PROGRESS', payload: { count: 0, done: true } }, '*');
+                fail('Scan failed: ' + e.message);
             }
         }
     });
 
+    const TYPE_LABELS = { video: 'Video', short: 'Short', live: 'Live', podcast: 'Podcast' };
+    const BADGE_LABELS = { 'members-only': 'Members only', premiere: 'Premiere', upcoming: 'Upcoming', 'live-now': 'Live now' };
+
+    // Ascending (or descending) comparison that always sorts missing values last
+    function compareNullable(a, b, descending = false) {
+        const aMissing = a === null || a === undefined;
+        const bMissing = b === null || b === undefined;
+        if (aMissing || bMissing) return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+        const order = a < b ? -1 : (a > b ? 1 : 0);
+        return descending ? -order : order;
+    }
+
+    // Archive history lives in chrome.storage, which only the content script can read.
+    // Resolves to { videoId: archivedAt } (empty if the content script does not answer).
+    function requestArchiveHistory(channelIds) {
+        return new Promise((resolve) => {
+            const requestId = Math.random().toString(36).slice(2);
+
+            const onReply = (event) => {
+                if (event.source !== window || event.data?.type !== 'YCA_ARCHIVE_HISTORY') return;
+                if (event.data.requestId !== requestId) return;
+                clearTimeout(timer);
+                window.removeEventListener('message', onReply);
+                resolve(event.data.payload || {});
+            };
+
+            const timer = setTimeout(() => {
+                window.removeEventListener('message', onReply);
+                resolve({});
+            }, 3000);
+
+            window.addEventListener('message', onReply);
+            window.postMessage({ type: 'YCA_GET_ARCHIVE_HISTORY', requestId, payload: { channelIds } }, '*');
+        });
+    }
+
+    // Options page settings (utils/extraction-settings.js), relayed by the content script.
+    // Resolves to {} if it does not answer; the background then applies the stored settings itself.
+    function requestExtractionSettings() {
+        return new Promise((resolve) => {
+            const requestId = Math.random().toString(36).slice(2);
+
+            const onReply = (event) => {
+                if (event.source !== window || event.data?.type !== 'YCA_EXTRACTION_SETTINGS') return;
+                if (event.data.requestId !== requestId) return;
+                clearTimeout(timer);
+                window.removeEventListener('message', onReply);
+                resolve(event.data.payload || {});
+            };
+
+            const timer = setTimeout(() => {
+                window.removeEventListener('message', onReply);
+                resolve({});
+            }, 3000);
+
+            window.addEventListener('message', onReply);
+            window.postMessage({ type: 'YCA_GET_EXTRACTION_SETTINGS', requestId }, '*');
+        });
+    }
+
     // Show video selection popup
-    function showVideoSelectionPopup(videos, channelId, channelName = null) {
+    function showVideoSelectionPopup(videos, channelId, channelName = null, playlist = null) {
         const existing = document.getElementById('yca-popup-overlay');
         if (existing) existing.remove();
 
@@ -302,6 +842,14 @@
             .yca-video-item input[type="checkbox"] { margin-right: 15px; width: 18px; height: 18px; cursor: pointer; }
             .yca-video-title { color: #fff; flex: 1; font-size: 15px; line-height: 1.4; }
             .yca-video-id { color: #888; font-size: 12px; margin-left: 10px; font-family: monospace; }
+            .yca-video-thumb { width: 96px; height: 54px; object-fit: cover; border-radius: 4px; margin-right: 12px; background: #111; flex-shrink: 0; }
+            .yca-video-info { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+            .yca-video-meta { color: #aaa; font-size: 12px; margin-top: 4px; }
+            .yca-video-badge { color: #fff; background: #065fd4; font-size: 11px; margin-left: 6px; padding: 2px 6px; border-radius: 3px; white-space: nowrap; }
+            .yca-video-badge.live-now { background: #cc0000; }
+            .yca-video-archived { color: #8bc34a; font-size: 11px; margin-left: 10px; white-space: nowrap; }
+            .yca-video-type { color: #ccc; background: #444; font-size: 11px; margin-left: 10px; padding: 2px 6px; border-radius: 3px; text-transform: uppercase; }
+            #yca-type-filter, #yca-sort { background: #2a2a2a; color: #fff; border: 1px solid #555; border-radius: 4px; padding: 4px 8px; font-size: 14px; }
             #yca-popup-footer { padding: 15px 20px; border-top: 1px solid #333; color: #aaa; font-size: 13px; }
         `;
         document.head.appendChild(style);
@@ -315,6 +863,18 @@
                 <div id="yca-popup-controls">
                     <label><input type="checkbox" id="yca-select-all"> Select All</label>
                     <label style="margin-left: 15px;"><input type="checkbox" id="yca-ncapture-check"> XLSX Format (.xlsx)</label>
+                    <label id="yca-only-new-label" style="display: none;"><input type="checkbox" id="yca-only-new" style="margin-right: 6px;"> Only new since last archive</label>
+                    <select id="yca-type-filter"></select>
+                    <select id="yca-sort">
+                        <option value="">Original order</option>
+                        <option value="date-desc">Newest first</option>
+                        <option value="date-asc">Oldest first</option>
+                        <option value="views-desc">Most viewed</option>
+                        <option value="views-asc">Least viewed</option>
+                        <option value="duration-desc">Longest</option>
+                        <option value="duration-asc">Shortest</option>
+                        <option value="title-asc">Title (A-Z)</option>
+                    </select>
                     <span id="yca-selected-count">0 selected</span>
                     <button id="yca-download-btn" disabled>Download Selected</button>
                 </div>
@@ -326,27 +886,85 @@
         document.body.appendChild(overlay);
 
         const videoList = document.getElementById('yca-video-list');
+        const itemsById = new Map();
         videos.forEach(video => {
+            const meta = [
+                video.durationText,
+                video.viewCount !== null && video.viewCount !== undefined ? `${video.viewCount.toLocaleString()} views` : null,
+                video.publishedTime
+            ].filter(Boolean).join(' · ');
+
             const item = document.createElement('div');
             item.className = 'yca-video-item';
             item.innerHTML = `
                 <input type="checkbox" class="yca-video-checkbox" data-video-id="${video.videoId}">
-                <span class="yca-video-title">${video.title}</span>
+                ${video.thumbnailUrl ? `<img class="yca-video-thumb" loading="lazy" src="${video.thumbnailUrl}">` : ''}
+                <div class="yca-video-info">
+                    <span class="yca-video-title">${video.title}</span>
+                    ${meta ? `<span class="yca-video-meta">${meta}</span>` : ''}
+                </div>
+                ${(video.badges || []).map(b => `<span class="yca-video-badge ${b}">${BADGE_LABELS[b] || b}</span>`).join('')}
+                ${video.contentType ? `<span class="yca-video-type">${TYPE_LABELS[video.contentType] || video.contentType}</span>` : ''}
                 <span class="yca-video-id">${video.videoId}</span>
             `;
+            item.dataset.contentType = video.contentType || '';
+            itemsById.set(video.videoId, item);
             videoList.appendChild(item);
         });
 
+        // Sorting reorders the existing rows, so checkbox state is kept
+        const sortSelect = document.getElementById('yca-sort');
+        const SORTERS = {
+            'date-desc': (a, b) => compareNullable(a.publishDate, b.publishDate, true),
+            'date-asc': (a, b) => compareNullable(a.publishDate, b.publishDate),
+            'views-desc': (a, b) => compareNullable(a.viewCount, b.viewCount, true),
+            'views-asc': (a, b) => compareNullable(a.viewCount, b.viewCount),
+            'duration-desc': (a, b) => compareNullable(a.duration, b.duration, true),
+            'duration-asc': (a, b) => compareNullable(a.duration, b.duration),
+            'title-asc': (a, b) => (a.title || '').localeCompare(b.title || '')
+        };
+        sortSelect.addEventListener('change', () => {
+            const sorter = SORTERS[sortSelect.value];
+            const ordered = sorter ? [...videos].sort(sorter) : videos;
+            ordered.forEach(v => videoList.appendChild(itemsById.get(v.videoId)));
+        });
+
+        // The XLSX checkbox starts from the options page setting and overrides it for this job
+        let extractionSettings = {};
+        const ncaptureCheck = document.getElementById('yca-ncapture-check');
+        requestExtractionSettings().then(settings => {
+            extractionSettings = settings;
+            if (typeof settings.exportXlsx === 'boolean') ncaptureCheck.checked = settings.exportXlsx;
+        });
+
         const checkboxes = document.querySelectorAll('.yca-video-checkbox');
         const selectAll = document.getElementById('yca-select-all');
         const downloadBtn = document.getElementById('yca-download-btn');
         const selectedCount = document.getElementById('yca-selected-count');
+        const typeFilter = document.getElementById('yca-type-filter');
+
+        // Content type filter: only types present in this scan are offered
+        const typeCounts = {};
+        videos.forEach(v => {
+            if (v.contentType) typeCounts[v.contentType] = (typeCounts[v.contentType] || 0) + 1;
+        });
+        typeFilter.innerHTML = `<option value="">All types (${videos.length})</option>` +
+            Object.keys(TYPE_LABELS)
+                .filter(type => typeCounts[type])
+                .map(type => `<option value="${type}">${TYPE_LABELS[type]} (${typeCounts[type]})</option>`)
+                .join('');
+        if (Object.keys(typeCounts).length < 2) typeFilter.style.display = 'none';
+
+        // Hidden (filtered out) videos are never selected or downloaded
+        const visibleCheckboxes = () => Array.from(checkboxes)
+            .filter(cb => cb.closest('.yca-video-item').style.display !== 'none');
 
         function updateUI() {
-            const checked = Array.from(checkboxes).filter(cb => cb.checked);
+            const visible = visibleCheckboxes();
+            const checked = visible.filter(cb => cb.checked);
             selectedCount.textContent = `${checked.length} selected`;
             downloadBtn.disabled = checked.length === 0;
-            selectAll.checked = checked.length === checkboxes.length;
+            selectAll.checked = visible.length > 0 && checked.length === visible.length;
 
             // Visual feedback for enabled button
             if (!downloadBtn.disabled) {
@@ -360,20 +978,68 @@
 
         checkboxes.forEach(cb => cb.addEventListener('change', updateUI));
         selectAll.addEventListener('change', (e) => {
-            checkboxes.forEach(cb => cb.checked = e.target.checked);
+            visibleCheckboxes().forEach(cb => cb.checked = e.target.checked);
+            updateUI();
+        });
+
+        typeFilter.addEventListener('change', () => {
+            const type = typeFilter.value;
+            videoList.querySelectorAll('.yca-video-item').forEach(item => {
+                item.style.display = !type || item.dataset.contentType === type ? '' : 'none';
+            });
             updateUI();
         });
 
         document.getElementById('yca-popup-close').addEventListener('click', () => overlay.remove());
 
+        // Incremental mode: mark previously archived videos and pre-select only the new ones
+        const onlyNewCheck = document.getElementById('yca-only-new');
+        let archived = {};
+
+        const applyOnlyNew = () => {
+            if (!onlyNewCheck.checked) return;
+            visibleCheckboxes().forEach(cb => cb.checked = !archived[cb.dataset.videoId]);
+            updateUI();
+        };
+        onlyNewCheck.addEventListener('change', applyOnlyNew);
+
+        if (channelId !== 'SINGLE_VIDEO') {
+            const historyChannelIds = playlist
+                ? [...new Set(videos.map(v => v.channelId).filter(Boolean))]
+                : [channelId];
+
+            requestArchiveHistory(historyChannelIds).then(history => {
+                archived = history;
+                let archivedCount = 0;
+
+                videos.forEach(video => {
+                    const archivedAt = archived[video.videoId];
+                    if (!archivedAt) return;
+                    archivedCount++;
+
+                    const label = document.createElement('span');
+                    label.className = 'yca-video-archived';
+                    label.textContent = `Archived ${archivedAt.slice(0, 10)}`;
+                    label.title = archivedAt;
+                    itemsById.get(video.videoId)?.querySelector('.yca-video-info')?.after(label);
+                });
+
+                if (archivedCount > 0) {
+                    console.log(`[YCA] ${archivedCount}/${videos.length} videos already archived`);
+                    document.getElementById('yca-only-new-label').style.display = '';
+                    onlyNewCheck.checked = true;
+                    applyOnlyNew();
+                }
+            });
+        }
+
         downloadBtn.addEventListener('click', () => {
-            const selected = Array.from(checkboxes)
+            const selected = visibleCheckboxes()
                 .filter(cb => cb.checked)
                 .map(cb => videos.find(v => v.videoId === cb.dataset.videoId));
 
             // CAPTURE OPTIONS BEFORE REMOVING OVERLAY
-            const ncaptureCheck = document.getElementById('yca-ncapture-check');
-            const exportXlsx = ncaptureCheck ? ncaptureCheck.checked : true; // Default true
+            const exportXlsx = ncaptureCheck.checked;
 
             overlay.remove();
 
@@ -384,7 +1050,7 @@
                     source: 'YCA_CONTENT_SCRIPT',
                     type: 'YCA_EXTRACT_DATA',
                     videoId: selected[0].videoId,
-                    options: { exportXlsx } // Pass as exportXlsx
+                    options: { ...extractionSettings, exportXlsx } // Pass as exportXlsx
                 }, window.location.origin);
             } else {
                 // Standard channel download
@@ -394,6 +1060,7 @@
                         videos: selected,
                         channelId,
                         channelName,
+                        playlist, // { playlistId, title } for playlist scans; videos are then filed per channel
                         options: { exportXlsx }
                     }
                 }, '*');
@@ -65,6 +65,29 @@ console.log('[YCA Page] Script injected into page context');
         }
     }
 
+    // Options page defaults (mirror utils/extraction-settings.js); jobs pass the chosen values in `options`
+    const DEFAULT_NVIVO_INTERVAL_SEC = 10;
+    const DEFAULT_NVIVO_PAUSE_SEC = 2;
+    const DEFAULT_REPLY_CONCURRENCY = 4;
+    const DEFAULT_FETCH_RETRIES = 5;
+
+    // NVivo 'sentence' grouping: sentence-ending punctuation, and the longest row for captions without any
+    const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+    const MAX_SENTENCE_ROW_SEC = 60;
+
+    // A speaker name before a colon: up to four all-caps words ("JOHN SMITH: ...") or one or two
+    // capitalized words ("Dr. Lee: ..."), so sentences such as "The answer is: yes" are not names
+    const SPEAKER_NAME = /^((?:\p{Lu}[\p{Lu}\p{M}.'’-]*(?:\s\p{Lu}[\p{Lu}\p{M}.'’-]*){0,3})|(?:\p{Lu}[\p{L}\p{M}.'’-]*(?:\s\p{Lu}[\p{L}\p{M}.'’-]*)?)):\s+(.*)$/u;
+
+    // Retries for fetchWithRetry, set from the options of the extraction in progress
+    let fetchRetries = DEFAULT_FETCH_RETRIES;
+
+    function applyExtractionOptions(options) {
+        fetchRetries = Number.isInteger(options?.fetchRetries) ? options.fetchRetries : DEFAULT_FETCH_RETRIES;
+        console.log(`[YCA Page] Extraction options: ${options?.preset || 'default'} preset, transcript ${options?.transcriptFormat || 'auto'}, ` +
+            `comments ${options?.commentSort || 'newest'}, ${fetchRetries} fetch retries`);
+    }
+
     /**
      * Wait for YouTube's ytInitialData and ytcfg to be available
      * Background tabs take longer to initialize these objects
@@ -170,6 +193,7 @@ console.log('[YCA Page] Script injected into page context');
 
         const videoId = event.data.videoId;
         const options = event.data.options || {}; // Extract options (like ncapture)
+        applyExtractionOptions(options);
 
         // Try multiple methods to get the title
         let title = null;
@@ -222,6 +246,11 @@ console.log('[YCA Page] Script injected into page context');
 
         console.log('[YCA Page] Channel extracted:', channelName);
 
+        // Channel ID (archive history is keyed by it)
+        const channelId = window.ytInitialPlayerResponse?.videoDetails?.channelId ||
+            window.ytInitialData?.contents?.twoColumnWatchNextResults?.results?.results?.contents?.[1]?.videoSecondaryInfoRenderer?.owner?.videoOwnerRenderer?.navigationEndpoint?.browseEndpoint?.browseId ||
+            null;
+
         // Extract video duration (in seconds) for NCapture
         // CRITICAL: NVivo validates against microformat.lengthSeconds, not videoDetails.lengthSeconds
         // These can differ by 1 second due to rounding, causing NVivo to reject the file
@@ -251,14 +280,23 @@ console.log('[YCA Page] Script injected into page context');
 
         console.log('[YCA Page] Final duration:', duration, 'seconds');
 
+        // Upload date (YYYY-MM-DD) for {uploadDate} in folder templates
+        const microformat = window.ytInitialPlayerResponse?.microformat?.playerMicroformatRenderer;
+        const uploadDate = (microformat?.uploadDate || microformat?.publishDate || '').slice(0, 10) || null;
+
         // Extract data
-        const transcript = await extractTranscript(videoId, options);
-        const comments = await extractComments(videoId);
-        const chatReplay = null; // Not implemented yet
+        const playerData = await getPlayerData(videoId);
+        const chapters = addChapterEnds(findChapters(window.ytInitialData), duration);
+        const transcriptOptions = { ...options, chapters }; // Chaptered layout and 'chapter' NVivo grouping
+        const transcript = await extractTranscript(videoId, transcriptOptions, playerData);
+        const captions = await extractCaptionTracks(playerData, transcriptOptions);
+        const comments = await extractComments(videoId, null, options);
+        const chatReplay = await extractChatReplay(videoId);
 
         console.log('[YCA Page] Transcript:', transcript ? transcript.length + ' chars' : 'NULL');
         console.log('[YCA Page] Comments:', comments ? comments.length + ' items' : 'NULL');
-        console.log('[YCA Page] Chat replay:', chatReplay ? 'YES' : 'NULL');
+        console.log('[YCA Page] Chat replay:', chatReplay ? chatReplay.length + ' events' : 'NULL');
+        console.log('[YCA Page] Chapters:', chapters.length);
 
         // Send data back to content script
         window.postMessage({
@@ -268,8 +306,12 @@ console.log('[YCA Page] Script injected into page context');
                 videoId,
                 title,
                 channelName, // Pass channel name
+                channelId,
                 duration, // Pass duration in seconds
+                uploadDate,
                 transcript,
+                captions,
+                chapters,
                 comments,
                 chatReplay,
                 options // Pass options back
@@ -286,10 +328,17 @@ console.log('[YCA Page] Script injected into page context');
      * Extract transcript using direct method - direct data access from ytInitialData
      * This is FAST and AUTOMATIC - no DOM clicking needed!
      */
-    async function extractTranscript(videoId, options) {
+    async function extractTranscript(videoId, options, playerData = null) {
         try {
-            // DOM extraction is the most reliable method
-            // API method consistently fails with "Precondition check failed" errors
+            // Caption track first: plain fetches, so it works in background tabs and needs no clicking
+            const cues = await extractTranscriptFromCaptions(videoId, playerData);
+            if (cues) {
+                return formatTranscriptCues(cues, options);
+            }
+
+            // Fallback: open the transcript panel and read its segments
+            // (the get_transcript API consistently fails with "Precondition check failed" here)
+            console.log('[YCA Page] No caption track data, falling back to the transcript panel');
             return await extractTranscriptFromDOM(options);
         } catch (error) {
             console.error('[YCA Page] Transcript extraction error:', error);
@@ -297,6 +346,32 @@ console.log('[YCA Page] Script injected into page context');
         }
     }
 
+    // Player response of this video: the page's own, or a fresh one after SPA navigation
+    // (the initial response then belongs to an earlier video)
+    async function getPlayerData(videoId) {
+        const playerData = window.ytInitialPlayerResponse;
+        if (playerData?.videoDetails?.videoId === videoId) return playerData;
+
+        return callInnertube('player', { videoId }).catch(e => {
+            console.warn('[YCA Page] Player request failed:', e);
+            return null;
+        });
+    }
+
+    // Cues of the video's default caption track, read from the player response
+    async function extractTranscriptFromCaptions(videoId, playerData = null) {
+        playerData = playerData || await getPlayerData(videoId);
+
+        const track = pickCaptionTrack(playerData);
+        if (!track) {
+            console.log('[YCA Page] No caption tracks listed for', videoId);
+            return null;
+        }
+
+        console.log('[YCA Page] Using caption track', track.languageCode, track.kind || 'manual');
+        return fetchCaptionTrack(track);
+    }
+
     // New Helper: Extract from DOM by clicking button
     async function extractTranscriptFromDOM(options) {
         try {
@@ -406,84 +481,81 @@ console.log('[YCA Page] Script injected into page context');
         return `${mins}:${sSecs},${decimal}`;
     }
 
-    // Helper: Parse DOM segments and group into 10-second intervals
+    // Helper: Read DOM transcript segments into cues ({ time, text, startSeconds, endSeconds })
     function parseDomSegments(segments, options) {
         console.log('[YCA Page] Parsing', segments.length, 'DOM segments');
+        const cues = [];
+
+        segments.forEach((seg, index) => {
+            const time = seg.querySelector('.segment-timestamp')?.textContent?.trim() || '';
+            const text = seg.querySelector('.segment-text')?.textContent?.trim() || '';
+
+            if (text) {
+                const startSeconds = timeToSeconds(time);
+                const nextTime = segments[index + 1]?.querySelector('.segment-timestamp')?.textContent?.trim();
+                const endSeconds = nextTime ? timeToSeconds(nextTime) : startSeconds + 3;
+
+                // The panel shows start times only, so every cue runs until the next one begins
+                cues.push({ time, text, startSeconds, endSeconds, estimatedEnd: true });
+            }
+        });
+
+        return formatTranscriptCues(cues, options);
+    }
+
+    // Helper: Format transcript cues, line by line or as NVivo rows (see groupNVivoCues)
+    // Shared by the DOM, get_transcript and caption track sources
+    function formatTranscriptCues(cues, options) {
         const lines = [];
         const structured = [];
 
         // Check format option
-        // User requested NVivo format (Grouped 10s, TSV) applies when XLSX (or NCapture) is selected
-        const useNVivoFormat = options?.exportXlsx === true || options?.ncapture === true;
+        // 'auto' (default): NVivo format (Grouped, TSV) applies when XLSX (or NCapture) is selected
+        const format = options?.transcriptFormat || 'auto';
+        const useNVivoFormat = format === 'nvivo' ||
+            (format === 'auto' && (options?.exportXlsx === true || options?.ncapture === true));
         console.log('[YCA Page] Formatting transcript with:', useNVivoFormat ? 'NVivo Format (Grouped)' : 'Classic Format (Line-by-Line)');
 
+        // Chaptered layout (options page): section headings, or a Chapter column in NVivo rows
+        const chaptered = options?.chapteredTranscript === true && options?.chapters?.length > 0;
+
+        // Line-level timings in both modes, for the SRT / WebVTT exports
+        const timedCues = cues.map(cue => ({
+            startMs: Math.round(cue.startSeconds * 1000),
+            endMs: Math.round(cue.endSeconds * 1000),
+            text: (cue.text || '').replace(/[\r\t]/g, ' ').trim()
+        })).filter(cue => cue.text);
+
         if (useNVivoFormat) {
-            // NVivo Logic (Grouped 10s)
+            // NVivo Logic (rows grouped by the chosen strategy, see groupNVivoCues)
             const nvivoLines = [];
 
             // Add NVivo header
-            nvivoLines.push('\tTimespan\tContent\tSpeaker');
+            nvivoLines.push('\tTimespan\tContent\tSpeaker' + (chaptered ? '\tChapter' : ''));
 
-            // First pass: Extract all segments with timestamps and text
+            // First pass: Sanitize text (remove newlines, tabs, and carriage returns) and take off speaker labels.
+            // A label names the speaker of every following line until the next one.
             const allSegments = [];
-            segments.forEach((seg, index) => {
-                const time = seg.querySelector('.segment-timestamp')?.textContent?.trim() || '';
-                let text = seg.querySelector('.segment-text')?.textContent?.trim() || '';
-
-                if (text) {
-                    // Sanitize text: remove newlines, tabs, and carriage returns
-                    text = text.replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim();
-
-                    const startSeconds = timeToSeconds(time);
-                    const nextTime = segments[index + 1]?.querySelector('.segment-timestamp')?.textContent?.trim();
-                    const endSeconds = nextTime ? timeToSeconds(nextTime) : startSeconds + 3;
-
-                    allSegments.push({
-                        time: time,
-                        text: text,
-                        startSeconds: startSeconds,
-                        endSeconds: endSeconds
-                    });
+            let speaker = '';
+            let speakerChange = false;
+            cues.forEach(cue => {
+                let text = cue.text.replace(/[\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim();
+                const label = parseSpeakerLabel(text);
+                if (label) {
+                    speaker = label.speaker;
+                    text = label.text.trim();
+                    speakerChange = true;
                 }
-            });
-
-            // Second pass: Group into ~10-second intervals
-            const INTERVAL = 10; // seconds
-            const grouped = [];
-            let currentGroup = {
-                startSeconds: 0,
-                endSeconds: 0,
-                texts: []
-            };
-
-            allSegments.forEach((seg) => {
-                // If adding this segment would exceed 10 seconds AND we have content
-                if (currentGroup.texts.length > 0 &&
-                    seg.endSeconds - currentGroup.startSeconds > INTERVAL) {
-                    // Save current group
-                    grouped.push({ ...currentGroup });
-                    // Start new group
-                    currentGroup = {
-                        startSeconds: seg.startSeconds,
-                        endSeconds: seg.endSeconds,
-                        texts: [seg.text]
-                    };
-                } else {
-                    // Add to current group
-                    if (currentGroup.texts.length === 0) {
-                        currentGroup.startSeconds = seg.startSeconds;
-                    }
-                    currentGroup.endSeconds = seg.endSeconds;
-                    currentGroup.texts.push(seg.text);
+                if (text) {
+                    allSegments.push({ ...cue, text, speaker, speakerChange });
+                    speakerChange = false;
                 }
             });
 
-            // Don't forget the last group
-            if (currentGroup.texts.length > 0) {
-                grouped.push(currentGroup);
-            }
+            // Second pass: Group into rows (options page: "NVivo grouping")
+            const grouped = groupNVivoCues(allSegments, options);
 
-            console.log('[YCA Page] Grouped', allSegments.length, 'segments into', grouped.length, 'intervals');
+            console.log('[YCA Page] Grouped', allSegments.length, 'segments into', grouped.length, 'rows');
 
             // Third pass: Format for NVivo output
             let lineNumber = 1;
@@ -491,17 +563,18 @@ console.log('[YCA Page] Script injected into page context');
                 const combinedText = group.texts.join(' ');
                 const startFormatted = formatNVivoTime(group.startSeconds);
                 const endFormatted = formatNVivoTime(group.endSeconds);
-                const nvivoLine = `${lineNumber}\t${startFormatted} - ${endFormatted}\t${combinedText}\t`;
+                let nvivoLine = `${lineNumber}\t${startFormatted} - ${endFormatted}\t${combinedText}\t${group.speaker}`;
+                if (chaptered) nvivoLine += `\t${group.chapter?.title || ''}`;
                 nvivoLines.push(nvivoLine);
 
-                // Keep old format for backward compatibility (optional, but requested logic is strict switch)
-                // lines.push(`Time: ${formatNVivoTime(group.startSeconds)}\n${combinedText}\nstart offset: 0 | duration: 0`);
-
                 structured.push({
                     time: formatNVivoTime(group.startSeconds),
                     text: combinedText,
-                    startMs: group.startSeconds * 1000,
-                    durationMs: (group.endSeconds - group.startSeconds) * 1000
+                    speaker: group.speaker,
+                    ...(chaptered && { chapter: group.chapter?.title || null }),
+                    startMs: Math.round(group.startSeconds * 1000),
+                    endMs: Math.round(group.endSeconds * 1000),
+                    durationMs: Math.round((group.endSeconds - group.startSeconds) * 1000)
                 });
 
                 lineNumber++;
@@ -512,63 +585,251 @@ console.log('[YCA Page] Script injected into page context');
             // Return NVivo-formatted text
             return nvivoLines.length > 1 ? { // > 1 because header is pushed
                 text: nvivoLines.join('\r\n'),
-                segments: structured
+                segments: structured,
+                cues: timedCues
             } : null;
 
         } else {
             // Classic Logic (Line-by-Line)
-            segments.forEach(seg => {
-                const time = seg.querySelector('.segment-timestamp')?.textContent?.trim() || '';
-                const text = seg.querySelector('.segment-text')?.textContent?.trim() || '';
+            let currentChapter = null;
+            cues.forEach(cue => {
+                if (cue.text) {
+                    const chapter = chaptered ? chapterAt(options.chapters, cue.startSeconds) : null;
+                    if (chapter && chapter !== currentChapter) {
+                        const end = chapter.endMs !== null ? ` - ${formatClockTime(chapter.endMs / 1000)}` : '';
+                        lines.push(`=== Chapter ${chapter.index}: ${chapter.title} (${chapter.start}${end}) ===`);
+                        currentChapter = chapter;
+                    }
 
-                if (text) {
-                    lines.push(`Time: ${time}\n${text}`);
+                    lines.push(`Time: ${cue.time}\n${cue.text}`);
                     structured.push({
-                        time: time,
-                        text: text,
-                        startMs: 0,
-                        durationMs: 0
+                        time: cue.time,
+                        text: cue.text,
+                        ...(chaptered && { chapter: chapter?.title || null }),
+                        startMs: Math.round(cue.startSeconds * 1000),
+                        endMs: Math.round(cue.endSeconds * 1000),
+                        durationMs: Math.round((cue.endSeconds - cue.startSeconds) * 1000)
                     });
                 }
             });
 
             console.log('[YCA Page] Processed', structured.length, 'segments (Classic)');
-            return lines.length > 0 ? { text: lines.join('\n\n'), segments: structured } : null;
+            return lines.length > 0 ? { text: lines.join('\n\n'), segments: structured, cues: timedCues } : null;
         }
     }
 
-    // Helper: Find getTranscriptEndpoint and sibling tracking params
+    /**
+     * Group sanitized cues into NVivo rows. Strategies (options page: "NVivo grouping"):
+     * 'interval' - rows of about `nvivoIntervalSec` seconds (the original fixed 10-second windows)
+     * 'sentence' - a row ends with its sentence; unpunctuated auto-captions close at MAX_SENTENCE_ROW_SEC
+     * 'pause'    - a row ends where speech pauses for `nvivoPauseSec` or longer; transcript panel
+ *              cues have no real end times, hence no pauses, so those are grouped by interval
+     * 'chapter'  - one row per video chapter (by interval when the video has none)
+     * A speaker label always starts a new row, so each row has one speaker; in the chaptered
+     * layout a chapter start does too.
+     */
+    function groupNVivoCues(segments, options) {
+        let strategy = options?.nvivoGrouping || 'interval';
+        const interval = options?.nvivoIntervalSec || DEFAULT_NVIVO_INTERVAL_SEC;
+        const pause = options?.nvivoPauseSec || DEFAULT_NVIVO_PAUSE_SEC;
+        const chapters = options?.chapters || [];
+
+        if (strategy === 'chapter' && chapters.length === 0) {
+            console.log('[YCA Page] No chapters, grouping NVivo rows by interval');
+            strategy = 'interval';
+        }
+        if (strategy === 'pause' && segments.some(seg => seg.estimatedEnd)) {
+            console.log('[YCA Page] Transcript panel timings show no pauses, grouping NVivo rows by interval');
+            strategy = 'interval';
+        }
 
+        const endsRow = (group, seg) => {
+            // The chaptered layout labels every row with one chapter
+            if (options?.chapteredTranscript && chapterAt(chapters, seg.startSeconds) !== group.chapter) return true;
+            switch (strategy) {
+                case 'sentence':
+                    return SENTENCE_END.test(group.texts[group.texts.length - 1]) ||
+                        seg.endSeconds - group.startSeconds > MAX_SENTENCE_ROW_SEC;
+                case 'pause':
+                    return seg.startSeconds - group.endSeconds >= pause;
+                case 'chapter':
+                    return chapterAt(chapters, seg.startSeconds) !== group.chapter;
+                default:
+                    return seg.endSeconds - group.startSeconds > interval;
+            }
+        };
 
-    // Helper: Format segments into text
-    function formatTranscriptSegments(segments) {
-        const lines = [];
-        const structured = [];
+        const grouped = [];
+        let current = null;
+        segments.forEach(seg => {
+            if (current && !seg.speakerChange && !endsRow(current, seg)) {
+                current.endSeconds = seg.endSeconds;
+                current.texts.push(seg.text);
+                return;
+            }
+            if (current) grouped.push(current);
+            current = {
+                startSeconds: seg.startSeconds,
+                endSeconds: seg.endSeconds,
+                texts: [seg.text],
+                speaker: seg.speaker,
+                chapter: chapterAt(chapters, seg.startSeconds)
+            };
+        });
+        if (current) grouped.push(current);
+
+        console.log(`[YCA Page] NVivo grouping: ${strategy}`);
+        return grouped;
+    }
+
+    // Helper: Speaker label at the start of a caption line: ">> NAME: ...", "[Name]: ..." or "- Name: ...".
+    // Returns { speaker, text } or null; a bare ">>" marks a new speaker without a name.
+    function parseSpeakerLabel(text) {
+        const marker = text.match(/^>>\s*(.*)$/);
+        if (marker) {
+            const named = marker[1].match(SPEAKER_NAME);
+            return named ? { speaker: named[1], text: named[2] } : { speaker: '', text: marker[1] };
+        }
+
+        const bracketed = text.match(/^\[([^\]]{1,40})\]:\s*(.*)$/);
+        if (bracketed) return { speaker: bracketed[1].trim(), text: bracketed[2] };
+
+        const dashed = text.match(/^-\s*(.*)$/)?.[1].match(SPEAKER_NAME);
+        return dashed ? { speaker: dashed[1], text: dashed[2] } : null;
+    }
+
+    // Helper: Format seconds as YouTube's transcript timestamps (M:SS or H:MM:SS)
+    function formatClockTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = String(Math.floor(seconds % 60)).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+    }
+
+    // Helper: Find getTranscriptEndpoint and sibling tracking params in a watch `next` response
+    function findTranscriptEndpoint(watchData) {
+        for (const panel of watchData?.engagementPanels || []) {
+            const content = panel.engagementPanelSectionListRenderer?.content;
+            const endpoint = content?.continuationItemRenderer?.continuationEndpoint;
+            if (endpoint?.getTranscriptEndpoint) {
+                return {
+                    endpoint: endpoint.getTranscriptEndpoint,
+                    clickTrackingParams: endpoint.clickTrackingParams || null
+                };
+            }
+        }
+        return null;
+    }
+
+    // Helper: Chapters ({ title, startMs, thumbnail, source }) from ytInitialData or a watch `next` response.
+    // The player bar has them to the millisecond; the chapters panel is the fallback.
+    // `source` is 'description' for the creator's chapters and 'auto' for YouTube's generated ones.
+    function findChapters(watchData) {
+        const lastThumbnail = thumbnail => thumbnail?.thumbnails?.slice(-1)[0]?.url || null;
+
+        const playerBar = watchData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+            ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer;
+        for (const marker of playerBar?.markersMap || []) {
+            const chapters = (marker.value?.chapters || [])
+                .map(item => item.chapterRenderer)
+                .filter(Boolean)
+                .map(chapter => ({
+                    title: textOf(chapter.title),
+                    startMs: parseInt(chapter.timeRangeStartMillis, 10) || 0,
+                    thumbnail: lastThumbnail(chapter.thumbnail),
+                    source: marker.key === 'AUTO_CHAPTERS' ? 'auto' : 'description'
+                }));
+            if (chapters.length > 0) return chapters;
+        }
+
+        for (const panel of watchData?.engagementPanels || []) {
+            const section = panel.engagementPanelSectionListRenderer;
+            if (!section?.panelIdentifier?.includes('chapters')) continue;
+            const chapters = (section.content?.macroMarkersListRenderer?.contents || [])
+                .map(item => item.macroMarkersListItemRenderer)
+                .filter(Boolean)
+                .map(item => ({
+                    title: textOf(item.title),
+                    startMs: (item.onTap?.watchEndpoint?.startTimeSeconds || 0) * 1000,
+                    thumbnail: lastThumbnail(item.thumbnail),
+                    source: section.panelIdentifier.includes('auto') ? 'auto' : 'description'
+                }));
+            if (chapters.length > 0) return chapters;
+        }
+
+        return [];
+    }
+
+    // Helper: Chapters with their end (the next chapter's start, the video's end for the last one)
+    function addChapterEnds(chapters, durationSeconds) {
+        const sorted = [...chapters].sort((a, b) => a.startMs - b.startMs);
+        return sorted.map((chapter, i) => ({
+            index: i + 1,
+            title: chapter.title,
+            start: formatClockTime(chapter.startMs / 1000),
+            startMs: chapter.startMs,
+            endMs: sorted[i + 1]?.startMs ?? (durationSeconds > 0 ? durationSeconds * 1000 : null),
+            thumbnail: chapter.thumbnail,
+            source: chapter.source
+        }));
+    }
+
+    // Helper: The chapter a point in time falls into (null before the first one)
+    function chapterAt(chapters, seconds) {
+        let current = null;
+        for (const chapter of chapters || []) {
+            if (chapter.startMs / 1000 <= seconds) current = chapter;
+        }
+        return current;
+    }
+
+    // Helper: Find segment renderers in a get_transcript response (current and older layouts)
+    function findTranscriptSegments(data) {
+        const renderer = data?.actions?.[0]?.updateEngagementPanelAction?.content?.transcriptRenderer;
+        const body = renderer?.content?.transcriptSearchPanelRenderer?.body?.transcriptSegmentListRenderer;
+        if (body?.initialSegments) return body.initialSegments;
+
+        // Older layout: transcriptCueGroupRenderer list
+        return renderer?.body?.transcriptBodyRenderer?.cueGroups || null;
+    }
+
+    // Helper: Turn get_transcript segments into cues
+    function transcriptSegmentsToCues(segments) {
+        const cues = [];
         for (const segment of segments) {
             try {
-                const time = segment.formattedStartOffset?.simpleText || '';
-                const text = segment.cues?.[0]?.transcriptCueRenderer?.cue?.simpleText || '';
-                const startMs = segment.cues?.[0]?.transcriptCueRenderer?.startOffsetMs || 0;
-                const durationMs = segment.cues?.[0]?.transcriptCueRenderer?.durationMs || 0;
+                const modern = segment.transcriptSegmentRenderer;
+                if (modern) {
+                    const text = (modern.snippet?.runs || []).map(r => r.text).join('') || modern.snippet?.simpleText || '';
+                    const startSeconds = parseInt(modern.startMs, 10) / 1000;
+                    cues.push({
+                        time: modern.startTimeText?.simpleText || formatClockTime(startSeconds),
+                        text: text.trim(),
+                        startSeconds,
+                        endSeconds: parseInt(modern.endMs, 10) / 1000
+                    });
+                    continue;
+                }
 
-                if (text) {
-                    lines.push(`Time: ${time}\n${text}\nstart offset: ${startMs} | duration: ${durationMs}`);
-                    structured.push({
-                        time: time,
-                        text: text,
-                        startMs: startMs,
-                        durationMs: durationMs
+                const cue = (segment.transcriptCueGroupRenderer || segment).cues?.[0]?.transcriptCueRenderer;
+                if (cue) {
+                    const startSeconds = parseInt(cue.startOffsetMs, 10) / 1000;
+                    cues.push({
+                        time: (segment.transcriptCueGroupRenderer || segment).formattedStartOffset?.simpleText || formatClockTime(startSeconds),
+                        text: (cue.cue?.simpleText || '').trim(),
+                        startSeconds,
+                        endSeconds: startSeconds + parseInt(cue.durationMs, 10) / 1000
                     });
                 }
             } catch (err) {
                 console.warn('[YCA Page] Error processing segment:', err);
             }
         }
-        console.log('[YCA Page] Extracted', lines.length, 'transcript lines');
-        return lines.length > 0 ? { text: lines.join('\n\n'), segments: structured } : null;
+        console.log('[YCA Page] Extracted', cues.length, 'transcript lines');
+        return cues.filter(cue => cue.text);
     }
 
-    // Fetch transcript from API
+    // Fetch transcript from API, returns cues
     async function fetchTranscript(endpointData, videoId) {
         try {
             console.log('[YCA Page] Calling get_transcript API...');
@@ -633,7 +894,7 @@ console.log('[YCA Page] Script injected into page context');
             const segments = findTranscriptSegments(data);
             if (segments && segments.length > 0) {
                 console.log('[YCA Page] Found', segments.length, 'segments in API response');
-                return formatTranscriptSegments(segments);
+                return transcriptSegmentsToCues(segments);
             }
 
             console.log('[YCA Page] No segments found in API response');
@@ -645,17 +906,205 @@ console.log('[YCA Page] Script injected into page context');
         }
     }
 
+    // Helper: Caption tracks listed in a `player` response
+    function getCaptionTracks(playerData) {
+        return playerData?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    }
+
+    // Helper: Default track: the video's own caption track, preferring manual over auto-generated (ASR)
+    function pickCaptionTrack(playerData) {
+        const tracklist = playerData?.captions?.playerCaptionsTracklistRenderer;
+        const tracks = getCaptionTracks(playerData);
+        if (tracks.length === 0) return null;
+
+        const defaultIndex = tracklist.audioTracks?.[0]?.defaultCaptionTrackIndex;
+        if (defaultIndex !== undefined && tracks[defaultIndex] && tracks[defaultIndex].kind !== 'asr') {
+            return tracks[defaultIndex];
+        }
+        return tracks.find(t => t.kind !== 'asr') || tracks[defaultIndex] || tracks[0];
+    }
+
+    // Helper: Uploaded vs auto-generated, as used in file names and metadata
+    function captionTrackKind(track) {
+        return track.kind === 'asr' ? 'auto' : 'uploaded';
+    }
+
+    // Helper: 'en' matches 'en' and 'en-GB'; 'en-GB' only itself
+    function matchesLanguage(code, wanted) {
+        const have = code.toLowerCase();
+        const want = wanted.toLowerCase();
+        return have === want || (!want.includes('-') && have.split('-')[0] === want);
+    }
+
+    // Helper: Tracks to save for the "Caption languages" setting:
+    // 'all', 'manual' (uploaded only) or 'languages' (captionLanguages, e.g. "en, de, pt-BR").
+    // A listed language without its own track is auto-translated when YouTube offers it.
+    function selectCaptionTracks(playerData, options) {
+        const tracks = getCaptionTracks(playerData);
+        const own = track => ({ track, languageCode: track.languageCode, name: textOf(track.name), kind: captionTrackKind(track) });
+
+        switch (options?.captionTracks) {
+            case 'all':
+                return tracks.map(own);
+            case 'manual':
+                return tracks.filter(track => track.kind !== 'asr').map(own);
+            case 'languages': {
+                const wanted = String(options.captionLanguages || '').split(/[\s,;]+/).filter(Boolean);
+                const translations = playerData?.captions?.playerCaptionsTracklistRenderer?.translationLanguages || [];
+                const source = [pickCaptionTrack(playerData), ...tracks].find(track => track && track.isTranslatable);
+                const selected = [];
+
+                for (const code of wanted) {
+                    const matches = tracks.filter(track => matchesLanguage(track.languageCode, code));
+                    const track = matches.find(t => t.kind !== 'asr') || matches[0];
+                    const target = translations.find(language => matchesLanguage(language.languageCode, code));
+
+                    if (track) {
+                        selected.push(own(track));
+                    } else if (target && source) {
+                        selected.push({
+                            track: source,
+                            tlang: target.languageCode,
+                            languageCode: target.languageCode,
+                            name: textOf(target.languageName),
+                            kind: 'translated',
+                            translatedFrom: source.languageCode
+                        });
+                    } else {
+                        console.log('[YCA Page] No caption track or translation for', code);
+                    }
+                }
+
+                // "en, en-US" can name the same track twice
+                return selected.filter((entry, i) =>
+                    selected.findIndex(other => other.languageCode === entry.languageCode && other.kind === entry.kind) === i);
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Caption tracks beyond the default transcript
+     * @returns {Object|null} { mode, available: tracks the video has, transcripts: one { text, segments } per saved track }
+     */
+    async function extractCaptionTracks(playerData, options) {
+        if (!playerData) return null;
+
+        const available = getCaptionTracks(playerData).map(track => ({
+            languageCode: track.languageCode,
+            name: textOf(track.name) || track.languageCode,
+            kind: captionTrackKind(track),
+            isTranslatable: track.isTranslatable === true
+        }));
+
+        const transcripts = [];
+        for (const entry of selectCaptionTracks(playerData, options)) {
+            const cues = await fetchCaptionTrack(entry.track, entry.tlang);
+            const formatted = cues ? formatTranscriptCues(cues, options) : null;
+            if (!formatted) continue;
+
+            transcripts.push({
+                languageCode: entry.languageCode,
+                name: entry.name || entry.languageCode,
+                kind: entry.kind,
+                translatedFrom: entry.translatedFrom || null,
+                text: formatted.text,
+                segments: formatted.segments,
+                cues: formatted.cues
+            });
+        }
+
+        console.log(`[YCA Page] Caption tracks: ${available.length} available, ${transcripts.length} saved (${options?.captionTracks || 'default'})`);
+        return { mode: options?.captionTracks || 'default', available, transcripts };
+    }
+
+    // Fetch one caption track (timedtext json3, srv3 XML if that fails), returns cues
+    // @param {string} tlang - YouTube auto-translation target, e.g. 'de'
+    async function fetchCaptionTrack(track, tlang = null) {
+        for (const format of ['json3', 'srv3']) {
+            try {
+                const url = new URL(track.baseUrl, window.location.origin);
+                url.searchParams.set('fmt', format);
+                if (tlang) url.searchParams.set('tlang', tlang);
+
+                const response = await fetchWithRetry(url.toString(), { credentials: 'include' }, 2);
+                if (!response.ok) {
+                    console.error(`[YCA Page] Caption track fetch (${format}) failed:`, response.status);
+                    continue;
+                }
+
+                const body = await response.text();
+                if (!body) {
+                    console.warn(`[YCA Page] Caption track (${format}) returned an empty body`);
+                    continue;
+                }
+
+                const cues = format === 'json3' ? parseJson3Cues(body) : parseSrv3Cues(body);
+                console.log('[YCA Page] Caption track', track.languageCode, track.kind || 'manual', tlang ? `-> ${tlang}` : '', `(${format}):`, cues.length, 'cues');
+                if (cues.length > 0) return cues;
+            } catch (e) {
+                console.error(`[YCA Page] Caption track (${format}) error:`, e);
+            }
+        }
+        return null;
+    }
+
+    // Helper: One timed-text cue; line breaks inside a caption become spaces
+    function captionCue(startMs, durationMs, text) {
+        const startSeconds = startMs / 1000;
+        return {
+            time: formatClockTime(startSeconds),
+            text: text.replace(/\s*\n\s*/g, ' ').trim(),
+            startSeconds,
+            endSeconds: (startMs + durationMs) / 1000
+        };
+    }
+
+    // Helper: json3 timed text -> cues ({ events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] })
+    function parseJson3Cues(body) {
+        const cues = [];
+        for (const event of JSON.parse(body).events || []) {
+            if (!event.segs) continue;
+            const text = event.segs.map(seg => seg.utf8 || '').join('');
+            if (!text.trim()) continue; // Auto-generated tracks interleave bare line breaks
+
+            cues.push(captionCue(event.tStartMs || 0, event.dDurationMs || 0, text));
+        }
+        return cues;
+    }
+
+    // Helper: srv3 timed text -> cues (<timedtext><body><p t="ms" d="ms">text or <s> words</p>)
+    function parseSrv3Cues(body) {
+        const xml = new DOMParser().parseFromString(body, 'text/xml');
+        const cues = [];
+        xml.querySelectorAll('body > p').forEach(p => {
+            const text = p.textContent || '';
+            if (!text.trim()) return;
+
+            cues.push(captionCue(parseInt(p.getAttribute('t'), 10) || 0, parseInt(p.getAttribute('d'), 10) || 0, text));
+        });
+        return cues;
+    }
+
     /**
      * Extract comments from ytInitialData (Deep Scan Version)
      */
     // --- IndexedDB Helpers ---
-    const DB_NAME = 'YCA_DB';
+    // One database per extraction: parallel worker tabs share the youtube.com origin,
+    // so a single shared store would be cleared and mixed between videos.
+    const DB_PREFIX = 'YCA_DB_';
     const STORE_NAME = 'comments';
     const DB_VERSION = 1;
+    const STALE_DB_AGE_MS = 24 * 60 * 60 * 1000;
+
+    function extractionDBName(videoId) {
+        return `${DB_PREFIX}${videoId}_${Date.now()}`;
+    }
 
-    async function initDB() {
+    async function initDB(dbName) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(dbName, DB_VERSION);
             request.onerror = (e) => reject(e.target.error);
             request.onsuccess = (e) => resolve(e.target.result);
             request.onupgradeneeded = (e) => {
@@ -667,16 +1116,30 @@ console.log('[YCA Page] Script injected into page context');
         });
     }
 
-    async function clearCommentStore(db) {
-        return new Promise((resolve, reject) => {
-            const tx = db.transaction([STORE_NAME], 'readwrite');
-            const store = tx.objectStore(STORE_NAME);
-            const req = store.clear();
-            req.onsuccess = () => resolve();
-            req.onerror = (e) => reject(e.target.error);
+    async function deleteDB(db) {
+        db.close();
+        return new Promise((resolve) => {
+            const req = indexedDB.deleteDatabase(db.name);
+            req.onsuccess = req.onerror = req.onblocked = () => resolve();
         });
     }
 
+    // Databases left behind by tabs that crashed or were closed mid-extraction
+    // (plus the old shared YCA_DB)
+    async function cleanupStaleDBs() {
+        if (!indexedDB.databases) return;
+
+        const cutoff = Date.now() - STALE_DB_AGE_MS;
+        const databases = await indexedDB.databases();
+        for (const { name } of databases) {
+            const match = name && name.match(/^YCA_DB(?:_[\w-]{11}_(\d+))?$/);
+            if (match && (!match[1] || parseInt(match[1], 10) < cutoff)) {
+                console.log(`[YCA DB] Deleting stale database ${name}`);
+                indexedDB.deleteDatabase(name);
+            }
+        }
+    }
+
     async function saveCommentBatch(db, comments) {
         return new Promise((resolve, reject) => {
             const tx = db.transaction([STORE_NAME], 'readwrite');
@@ -706,17 +1169,21 @@ console.log('[YCA Page] Script injected into page context');
     }
     // -------------------------
 
-    let isExtracting = false;
+    // Per video, so API-only mode can extract several videos in one tab
+    const extractingVideos = new Set();
 
     /**
      * Extract comments from ytInitialData (Deep Scan Version)
+     * @param {Object} watchData - `next` response to use instead of this page (API-only mode)
+     * @param {Object} options - job options (commentSort, replyConcurrency)
      */
-    async function extractComments(videoId) {
-        if (isExtracting) {
+    async function extractComments(videoId, watchData = null, options = {}) {
+        if (extractingVideos.has(videoId)) {
             console.warn('[YCA Page] Extraction already in progress. Ignoring request.');
             return null;
         }
-        isExtracting = true;
+        extractingVideos.add(videoId);
+        let db = null;
 
         try {
             console.log('[YCA Page] Extracting comments (Deep Scan)...');
@@ -756,17 +1223,19 @@ console.log('[YCA Page] Script injected into page context');
             };
 
             // 2. Find "Newest First" Token using Deep Search
+            // With the "Top comments" setting the page's default order is kept
+            const wantNewest = options.commentSort !== 'top';
             let newestToken = null;
 
             // Search in ytInitialData first
-            const dataSources = [
+            const dataSources = (watchData ? [watchData] : [
                 window.ytInitialData,
                 document.querySelector('ytd-comments ytd-item-section-renderer')?.data
-            ].filter(Boolean);
+            ]).filter(Boolean);
 
             console.log(`[YCA Page] Searching for tokens via Deep Search in ${dataSources.length} sources...`);
 
-            for (const source of dataSources) {
+            for (const source of wantNewest ? dataSources : []) {
                 // Find all 'sortFilterSubMenuRenderer' occurrences
                 const sortMenus = deepFind(source, 'sortFilterSubMenuRenderer');
 
@@ -788,7 +1257,9 @@ console.log('[YCA Page] Script injected into page context');
                 if (newestToken) break;
             }
 
-            if (!newestToken) {
+            if (!wantNewest) {
+                console.log('[YCA Page] Keeping YouTube\'s "Top comments" order');
+            } else if (!newestToken) {
                 console.warn('[YCA Page] Could not find "Newest First" token via Deep Search.');
             }
 
@@ -803,8 +1274,9 @@ console.log('[YCA Page] Script injected into page context');
 
             // Parse Entity Store (Global)
             let entityStore = new Map();
-            if (window.ytInitialData?.frameworkUpdates) {
-                entityStore = parseEntityStore(window.ytInitialData.frameworkUpdates);
+            const pageData = watchData || window.ytInitialData;
+            if (pageData?.frameworkUpdates) {
+                entityStore = parseEntityStore(pageData.frameworkUpdates);
             }
 
             const comments = [];
@@ -834,7 +1306,25 @@ console.log('[YCA Page] Script injected into page context');
 
             // If not, we try to find the normal continuation token from the DOM.
 
-            if (!continuationToken) {
+            if (!continuationToken && watchData) {
+                // API-only: the sort menu only arrives with the first comments page,
+                // so load it once and switch to its "Newest first" token when present
+                const initialToken = findCommentsContinuation(watchData);
+                continuationToken = initialToken;
+
+                if (initialToken && wantNewest) {
+                    const firstPage = await callInnertube('next', { continuation: initialToken });
+                    for (const menu of deepFind(firstPage, 'sortFilterSubMenuRenderer')) {
+                        const item = (menu.subMenuItems || []).find(i => i.title && (i.title.includes('Newest') || i.title.includes('En yeni')));
+                        const token = item?.serviceEndpoint?.continuationCommand?.token || item?.command?.continuationCommand?.token;
+                        if (token) {
+                            console.log('[YCA Page] Found "Newest First" token in first comments page');
+                            newestToken = continuationToken = token;
+                            break;
+                        }
+                    }
+                }
+            } else if (!continuationToken) {
                 // Try to find the DEFAULT continuation token from the DOM (Load More)
                 const liveData = document.querySelector('ytd-comments ytd-item-section-renderer')?.data ||
                     window.ytInitialData?.contents?.twoColumnWatchNextResults?.results?.results?.contents?.[0]?.itemSectionRenderer; // fallback
@@ -868,7 +1358,7 @@ console.log('[YCA Page] Script injected into page context');
             // In this fallback scenario, we need to process the *initially visible* comments from the DOM first,
             // then use the continuationToken found from the DOM to fetch more "Top Comments".
             let commentSection = null;
-            if (!newestToken) { // Only process initial DOM comments if we are NOT using the "Newest First" token
+            if (!newestToken && !watchData) { // Only process initial DOM comments if we are NOT using the "Newest First" token
                 const liveData = document.querySelector('ytd-comments ytd-item-section-renderer')?.data;
                 if (liveData) {
                     const contents = liveData?.contents;
@@ -901,8 +1391,8 @@ console.log('[YCA Page] Script injected into page context');
 
             // IndexedDB Setup
             console.log('[YCA Page] Initializing DB transaction for batch loop...');
-            const db = await initDB();
-            await clearCommentStore(db);
+            await cleanupStaleDBs().catch(e => console.warn('[YCA DB] Stale cleanup failed:', e));
+            db = await initDB(extractionDBName(videoId));
 
             // Save any initial comments captured
             let totalFetched = 0;
@@ -913,8 +1403,8 @@ console.log('[YCA Page] Script injected into page context');
             }
 
             // PARALLEL REPLY QUEUE (High-speed reply fetching)
-            // Create queue with concurrency 4 (maximizing throughput)
-            const replyQueue = new SimpleQueue(4);
+            // Create queue with concurrency 4 by default (options page: "Parallel reply fetches")
+            const replyQueue = new SimpleQueue(options.replyConcurrency || DEFAULT_REPLY_CONCURRENCY);
             let totalRepliesFetched = 0;
             const processedReplyTokens = new Set();  // Prevent duplicate reply fetches
 
@@ -1014,9 +1504,11 @@ console.log('[YCA Page] Script injected into page context');
             console.log('[YCA Page] Reading all comments from DB for export...');
             const finalComments = await getAllComments(db);
             console.log(`[YCA Page] DB Read Success: ${finalComments.length} comments.`);
+            await deleteDB(db);
+            db = null;
 
-            // EMERGENCY DOM SCRAPE (If API failed completely)
-            if (finalComments.length === 0) {
+            // EMERGENCY DOM SCRAPE (If API failed completely; this page is not the video in API-only mode)
+            if (finalComments.length === 0 && !watchData) {
                 console.warn('[YCA Page] API extraction returned 0 comments. Attempting Emergency DOM Scrape...');
                 const domThreads = document.querySelectorAll('ytd-comment-thread-renderer');
                 if (domThreads.length > 0) {
@@ -1049,12 +1541,13 @@ console.log('[YCA Page] Script injected into page context');
                 }
             }
 
-            isExtracting = false;
+            extractingVideos.delete(videoId);
             return finalComments.length > 0 ? finalComments : null;
 
         } catch (e) {
             console.error('[YCA Page] Comments error:', e);
-            isExtracting = false;
+            if (db) await deleteDB(db);
+            extractingVideos.delete(videoId);
             return null;
         }
     }
@@ -1686,16 +2179,657 @@ console.log('[YCA Page] Script injected into page context');
         }
     }
 
+    // =========================================================================
+    // API-only extraction (no watch tab, no DOM clicking)
+    // The background keeps one long-lived YouTube tab and asks it for each video;
+    // everything comes from the `player` and `next` responses and their continuations.
+    // =========================================================================
+
+    async function callInnertube(endpoint, body) {
+        const apiKey = window.ytcfg?.get('INNERTUBE_API_KEY');
+        const context = window.ytcfg?.get('INNERTUBE_CONTEXT');
+        if (!apiKey || !context) {
+            throw new Error('Innertube config not available on this page');
+        }
+
+        const response = await fetchWithRetry(`https://www.youtube.com/youtubei/v1/${endpoint}?key=${apiKey}&prettyPrint=false`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ context, ...body }),
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Innertube ${endpoint} failed: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Helper: Continuation token of the comment section in a `next` response
+    function findCommentsContinuation(watchData) {
+        const contents = watchData?.contents?.twoColumnWatchNextResults?.results?.results?.contents || [];
+        for (const item of contents) {
+            const section = item.itemSectionRenderer;
+            if (!section || (section.sectionIdentifier !== 'comment-item-section' && section.targetId !== 'comments-section')) continue;
+
+            const continuation = section.contents?.find(c => c.continuationItemRenderer)?.continuationItemRenderer;
+            return continuation?.continuationEndpoint?.continuationCommand?.token || null;
+        }
+        return null;
+    }
+
+    // ---- Live chat replay ----
+
+    // Symbols YouTube shows in purchaseAmountText -> ISO 4217 code
+    const CURRENCY_SYMBOLS = {
+        '$': 'USD', 'US$': 'USD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD',
+        'NT$': 'TWD', 'MX$': 'MXN', 'R$': 'BRL', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '￥': 'JPY',
+        'CN¥': 'CNY', '₹': 'INR', '₩': 'KRW', '₱': 'PHP', '₽': 'RUB', '₫': 'VND', '₪': 'ILS', '₺': 'TRY',
+        'zł': 'PLN', 'R': 'ZAR'
+    };
+
+    // Helper: Plain text of a { simpleText } or { runs } field
+    function textOf(field) {
+        if (!field) return '';
+        if (field.simpleText) return field.simpleText;
+        return (field.runs || []).map(run => run.text ?? run.emoji?.shortcuts?.[0] ?? '').join('');
+    }
+
+    // Helper: "$1,000.00", "1.000,00 €", "CHF 5.00" -> { amount: 1000, currency: 'USD' }
+    function parsePurchaseAmount(text) {
+        const match = /^([^\d]*?)\s*(\d[\d.,\s ]*?)\s*([^\d]*)$/.exec((text || '').trim());
+        if (!match) return { amount: null, currency: null };
+
+        const symbol = (match[1] || match[3]).trim();
+        let digits = match[2].replace(/[\s ]/g, '');
+
+        // The last separator is the decimal one when two digits or fewer follow it
+        const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+        if (lastSeparator >= 0 && digits.length - lastSeparator - 1 <= 2) {
+            digits = digits.slice(0, lastSeparator).replace(/[.,]/g, '') + '.' + digits.slice(lastSeparator + 1);
+        } else {
+            digits = digits.replace(/[.,]/g, '');
+        }
+
+        const amount = parseFloat(digits);
+        return {
+            amount: Number.isNaN(amount) ? null : amount,
+            currency: CURRENCY_SYMBOLS[symbol] || symbol.toUpperCase() || null
+        };
+    }
+
+    // Helper: Message runs with emoji kept as their own runs
+    function parseChatRuns(message) {
+        return (message?.runs || []).map(run => {
+            if (run.emoji) {
+                const emoji = run.emoji;
+                return {
+                    emoji: emoji.isCustomEmoji ? null : emoji.emojiId, // Unicode emoji are their own ID
+                    emojiId: emoji.emojiId,
+                    shortcut: emoji.shortcuts?.[0] || null,
+                    custom: emoji.isCustomEmoji === true,
+                    imageUrl: emoji.image?.thumbnails?.slice(-1)[0]?.url || null
+                };
+            }
+            const url = run.navigationEndpoint?.urlEndpoint?.url;
+            return url ? { text: run.text, url } : { text: run.text };
+        });
+    }
+
+    // Helper: Plain message text; custom emoji become their :shortcut:
+    function chatRunsText(runs) {
+        return runs.map(run => run.text ?? run.emoji ?? run.shortcut ?? '').join('');
+    }
+
+    // Helper: One replayed chat item -> typed event, or null for system rows (banners, placeholders)
+    function parseChatItem(item, offsetMs) {
+        const [kind, renderer] = Object.entries(item)[0] || [];
+        if (!renderer) return null;
+
+        // Gift purchases keep the author in a nested header renderer
+        const author = kind === 'liveChatSponsorshipsGiftPurchaseAnnouncementRenderer'
+            ? renderer.header?.liveChatSponsorshipsHeaderRenderer || {}
+            : renderer;
+
+        const runs = parseChatRuns(renderer.message);
+        const event = {
+            id: renderer.id,
+            type: null,
+            offsetMs,
+            time: textOf(renderer.timestampText) || formatClockTime(Math.max(0, offsetMs) / 1000),
+            postedAt: renderer.timestampUsec ? new Date(parseInt(renderer.timestampUsec, 10) / 1000).toISOString() : null,
+            author: textOf(author.authorName) || null,
+            authorChannelId: renderer.authorExternalChannelId || null,
+            badges: (author.authorBadges || [])
+                .map(b => b.liveChatAuthorBadgeRenderer?.tooltip)
+                .filter(Boolean),
+            message: chatRunsText(runs),
+            runs
+        };
+
+        switch (kind) {
+            case 'liveChatTextMessageRenderer':
+                event.type = 'message';
+                break;
+            case 'liveChatPaidMessageRenderer':
+                event.type = 'superchat';
+                event.amountText = textOf(renderer.purchaseAmountText);
+                Object.assign(event, parsePurchaseAmount(event.amountText));
+                break;
+            case 'liveChatPaidStickerRenderer':
+                event.type = 'supersticker';
+                event.amountText = textOf(renderer.purchaseAmountText);
+                Object.assign(event, parsePurchaseAmount(event.amountText));
+                event.sticker = renderer.sticker?.accessibility?.accessibilityData?.label || null;
+                event.stickerUrl = renderer.sticker?.thumbnails?.slice(-1)[0]?.url || null;
+                break;
+            case 'liveChatMembershipItemRenderer':
+                // New members get only headerSubtext; milestone messages also have headerPrimaryText
+                event.type = renderer.headerPrimaryText ? 'membership_milestone' : 'membership';
+                event.headerText = [textOf(renderer.headerPrimaryText), textOf(renderer.headerSubtext)].filter(Boolean).join(' - ');
+                break;
+            case 'liveChatSponsorshipsGiftPurchaseAnnouncementRenderer': {
+                event.type = 'gift_purchase';
+                event.headerText = textOf(author.primaryText);
+                const count = event.headerText.match(/\d+/);
+                event.giftCount = count ? parseInt(count[0], 10) : null;
+                break;
+            }
+            case 'liveChatSponsorshipsGiftRedemptionAnnouncementRenderer':
+                event.type = 'gift_redemption';
+                break;
+            default:
+                return null;
+        }
+
+        return event;
+    }
+
+    // Helper: Replay continuation of the unfiltered chat ("Live chat replay", not "Top chat replay")
+    function findChatReplayContinuation(pageData) {
+        const chat = pageData?.contents?.twoColumnWatchNextResults?.conversationBar?.liveChatRenderer;
+        if (!chat || chat.isReplay !== true) return null;
+
+        // The view selector lists "Top chat replay" first and the unfiltered chat last
+        const views = chat.header?.liveChatHeaderRenderer?.viewSelector?.sortFilterSubMenuRenderer?.subMenuItems || [];
+        const allMessages = views[views.length - 1]?.continuation?.reloadContinuationData?.continuation;
+        return allMessages || chat.continuations?.[0]?.reloadContinuationData?.continuation || null;
+    }
+
+    /**
+     * Extract the live chat replay of a past stream or premiere
+     * Pages the live_chat_replay continuation from the start of the video to the end.
+     * @param {Object} watchData - `next` response to use instead of this page (API-only mode)
+     * @returns {Array|null} chat events in video order, null when the video has no chat replay
+     */
+    async function extractChatReplay(videoId, watchData = null) {
+        const continuation = findChatReplayContinuation(watchData || window.ytInitialData);
+        if (!continuation) {
+            console.log('[YCA Page] No chat replay for', videoId);
+            return null;
+        }
+
+        console.log('[YCA Page] Extracting chat replay...');
+        const events = [];
+        const seenIds = new Set(); // Consecutive pages can overlap
+        let token = continuation;
+        let page = 0;
+
+        while (token) {
+            let chat;
+            try {
+                const data = await callInnertube('live_chat/get_live_chat_replay', {
+                    continuation: token,
+                    currentPlayerState: { playerOffsetMs: '0' }
+                });
+                chat = data?.continuationContents?.liveChatContinuation;
+            } catch (e) {
+                // Keep what we have; a partial replay is better than none
+                console.error(`[YCA Page] Chat replay page ${page + 1} failed, keeping ${events.length} events:`, e);
+                break;
+            }
+            if (!chat) break;
+            page++;
+
+            for (const action of chat.actions || []) {
+                const replay = action.replayChatItemAction;
+                if (!replay) continue;
+                const offsetMs = parseInt(replay.videoOffsetTimeMsec, 10) || 0;
+
+                for (const inner of replay.actions || []) {
+                    const item = inner.addChatItemAction?.item;
+                    const event = item ? parseChatItem(item, offsetMs) : null;
+                    if (event && !seenIds.has(event.id)) {
+                        seenIds.add(event.id);
+                        events.push(event);
+                    }
+                }
+            }
+
+            // The last page carries only a playerSeekContinuationData
+            const next = (chat.continuations || [])
+                .find(c => c.liveChatReplayContinuationData)?.liveChatReplayContinuationData.continuation;
+            token = next && next !== token ? next : null;
+
+            if (page % 25 === 0) {
+                console.log(`[YCA Page] Chat replay: ${events.length} events after ${page} pages`);
+            }
+        }
+
+        console.log(`[YCA Page] Chat replay complete: ${events.length} events in ${page} pages`);
+        return events.length > 0 ? events : null;
+    }
+
+    // ---- Live chat recording (streams in progress) ----
+    // Messages go to IndexedDB as they arrive, so a crashed or closed tab loses nothing:
+    // opening the stream again resumes the recording, and once it has ended the
+    // button saves what was recorded. The background writes it via saveVideoData.
+    const LIVE_CHAT_DB_PREFIX = 'YCA_LiveChat_';
+    const LIVE_CHAT_MIN_POLL_MS = 1000;
+    const LIVE_CHAT_MAX_POLL_MS = 10000;
+    const LIVE_CHAT_MAX_FAILURES = 6;
+    const LIVE_CHAT_SAVE_TIMEOUT_MS = 60000; // Large recordings take a while to turn into XLSX
+
+    let liveRecording = null; // { videoId, db, meta, saved, stopped, wake }
+    let watchState = { videoId: null, isLive: false };
+
+    function openLiveChatDB(videoId) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(LIVE_CHAT_DB_PREFIX + videoId, 1);
+            request.onerror = (e) => reject(e.target.error);
+            request.onsuccess = (e) => resolve(e.target.result);
+            request.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                db.createObjectStore('events', { keyPath: 'id' });
+                db.createObjectStore('meta');
+            };
+        });
+    }
+
+    // Checked first so visiting a watch page does not create an empty database
+    async function liveChatDBExists(videoId) {
+        if (!indexedDB.databases) return false;
+        const databases = await indexedDB.databases();
+        return databases.some(({ name }) => name === LIVE_CHAT_DB_PREFIX + videoId);
+    }
+
+    // Runs `action(store)` in one transaction; resolves with the result of the request it returns
+    function liveChatStore(db, storeName, mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction([storeName], mode);
+            const request = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = (e) => reject(e.target.error);
+        });
+    }
+
+    // Tells the content script what the record button should show
+    async function postLiveChatStatus(notice = null) {
+        const { videoId, isLive } = watchState;
+        let saved = 0;
+
+        if (liveRecording && liveRecording.videoId === videoId) {
+            saved = liveRecording.saved;
+        } else if (videoId && await liveChatDBExists(videoId)) {
+            const db = await openLiveChatDB(videoId);
+            saved = await liveChatStore(db, 'events', 'readonly', store => store.count());
+            db.close();
+        }
+
+        window.postMessage({
+            source: 'YCA_PAGE_SCRIPT',
+            type: 'YCA_LIVE_CHAT_STATUS',
+            payload: {
+                videoId,
+                isLive,
+                recording: !!liveRecording && liveRecording.videoId === videoId && !liveRecording.stopped,
+                saved,
+                notice
+            }
+        }, window.location.origin);
+    }
+
+    // Watch page in view; SPA navigation brings a fresh player response with it
+    function updateWatchState(playerResponse) {
+        const videoId = window.location.pathname === '/watch' ? new URLSearchParams(window.location.search).get('v') : null;
+        const details = playerResponse?.videoDetails;
+        const broadcast = playerResponse?.microformat?.playerMicroformatRenderer?.liveBroadcastDetails;
+
+        watchState = {
+            videoId,
+            isLive: !!videoId && details?.videoId === videoId && details.isLive === true,
+            title: details?.title || null,
+            channelName: details?.author || null,
+            channelId: details?.channelId || null,
+            streamStartMs: Date.parse(broadcast?.startTimestamp) || null
+        };
+        postLiveChatStatus().catch(e => console.warn('[YCA Page] Live chat status failed:', e));
+    }
+
+    // Continuation of the unfiltered "Live chat" view (not "Top chat")
+    function findLiveChatContinuation(watchData) {
+        const chat = watchData?.contents?.twoColumnWatchNextResults?.conversationBar?.liveChatRenderer;
+        if (!chat || chat.isReplay === true) return null;
+
+        const views = chat.header?.liveChatHeaderRenderer?.viewSelector?.sortFilterSubMenuRenderer?.subMenuItems || [];
+        const allMessages = views[views.length - 1]?.continuation?.reloadContinuationData?.continuation;
+        return allMessages || chat.continuations?.[0]?.reloadContinuationData?.continuation || null;
+    }
+
+    async function startLiveChatRecording() {
+        const { videoId } = watchState;
+        if (liveRecording && !liveRecording.stopped) {
+            if (liveRecording.videoId !== videoId) {
+                postLiveChatStatus(`Already recording the chat of another stream (${liveRecording.meta.title}). Open that stream to stop it first.`);
+            }
+            return;
+        }
+        if (!watchState.isLive) {
+            postLiveChatStatus('This video is not live right now.');
+            return;
+        }
+
+        const continuation = findLiveChatContinuation(await callInnertube('next', { videoId }));
+        if (!continuation) {
+            postLiveChatStatus('This stream has no live chat (it may be turned off).');
+            return;
+        }
+
+        const db = await openLiveChatDB(videoId);
+        // A resumed recording keeps its original details
+        let meta = await liveChatStore(db, 'meta', 'readonly', store => store.get('video'));
+        if (!meta) {
+            meta = {
+                videoId,
+                title: watchState.title,
+                channelName: watchState.channelName,
+                channelId: watchState.channelId,
+                streamStartMs: watchState.streamStartMs,
+                startedAt: new Date().toISOString()
+            };
+            await liveChatStore(db, 'meta', 'readwrite', store => store.put(meta, 'video'));
+        }
+
+        const saved = await liveChatStore(db, 'events', 'readonly', store => store.count());
+        liveRecording = { videoId, db, meta, saved, stopped: false, wake: null };
+        console.log(`[YCA Page] Recording live chat of ${videoId}${saved > 0 ? ` (resuming, ${saved} saved)` : ''}`);
+        postLiveChatStatus();
+
+        pollLiveChat(liveRecording, continuation).catch(e => console.error('[YCA Page] Live chat recording failed:', e));
+    }
+
+    // Waits for the poll delay, or less when the user stops the recording
+    function liveChatPause(recording, ms) {
+        return new Promise(resolve => {
+            if (recording.stopped) return resolve();
+            const timer = setTimeout(resolve, ms);
+            recording.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    async function pollLiveChat(recording, continuation) {
+        let token = continuation;
+        let failures = 0;
+
+        while (!recording.stopped) {
+            let chat;
+            try {
+                const data = await callInnertube('live_chat/get_live_chat', { continuation: token });
+                chat = data?.continuationContents?.liveChatContinuation;
+                failures = 0;
+            } catch (e) {
+                failures++;
+                console.warn(`[YCA Page] Live chat poll failed (${failures}/${LIVE_CHAT_MAX_FAILURES}):`, e);
+                if (failures >= LIVE_CHAT_MAX_FAILURES) break;
+                await liveChatPause(recording, LIVE_CHAT_MAX_POLL_MS);
+                continue;
+            }
+            if (!chat) break; // Chat closed
+
+            const events = [];
+            for (const action of chat.actions || []) {
+                const item = action.addChatItemAction?.item;
+                if (!item) continue;
+
+                // Live items have no video offset; measure from the broadcast start instead
+                const usec = Object.values(item)[0]?.timestampUsec;
+                const offsetMs = usec && recording.meta.streamStartMs
+                    ? Math.round(parseInt(usec, 10) / 1000 - recording.meta.streamStartMs)
+                    : 0;
+                const event = parseChatItem(item, offsetMs);
+                if (event) events.push(event);
+            }
+
+            if (events.length > 0) {
+                await liveChatStore(recording.db, 'events', 'readwrite', store => {
+                    events.forEach(event => store.put(event));
+                });
+                recording.saved = await liveChatStore(recording.db, 'events', 'readonly', store => store.count());
+                postLiveChatStatus();
+            }
+
+            // No follow-up continuation once the stream has ended
+            const next = chat.continuations?.[0];
+            const nextData = next?.invalidationContinuationData || next?.timedContinuationData;
+            if (!nextData?.continuation) break;
+
+            token = nextData.continuation;
+            const delay = Math.min(LIVE_CHAT_MAX_POLL_MS, Math.max(LIVE_CHAT_MIN_POLL_MS, nextData.timeoutMs || LIVE_CHAT_MAX_POLL_MS));
+            await liveChatPause(recording, delay);
+        }
+
+        console.log(`[YCA Page] Live chat recording of ${recording.videoId} ${recording.stopped ? 'stopped' : 'ended with the stream'}`);
+        recording.stopped = true;
+        await exportLiveChat(recording.db, recording.meta);
+        if (liveRecording === recording) liveRecording = null;
+    }
+
+    function stopLiveChatRecording() {
+        if (liveRecording && liveRecording.videoId === watchState.videoId && !liveRecording.stopped) {
+            liveRecording.stopped = true;
+            if (liveRecording.wake) liveRecording.wake(); // pollLiveChat exports on its way out
+            return;
+        }
+
+        // Nothing running: save a recording left behind by a closed tab or an ended stream
+        const { videoId } = watchState;
+        if (!videoId || (liveRecording && liveRecording.videoId === videoId)) return;
+        liveChatDBExists(videoId)
+            .then(async exists => {
+                if (!exists) return;
+                const db = await openLiveChatDB(videoId);
+                const meta = await liveChatStore(db, 'meta', 'readonly', store => store.get('video'));
+                await exportLiveChat(db, meta || { videoId });
+            })
+            .catch(e => console.error('[YCA Page] Could not save recorded chat:', e));
+    }
+
+    // The service worker's answer to a recording handed over by exportLiveChat (null if none comes)
+    function waitForLiveChatSaved(videoId) {
+        return new Promise(resolve => {
+            const onMessage = (event) => {
+                if (event.source !== window || event.data?.source !== 'YCA_CONTENT_SCRIPT') return;
+                if (event.data.type !== 'YCA_LIVE_CHAT_SAVED' || event.data.videoId !== videoId) return;
+                finish(event.data);
+            };
+            const timer = setTimeout(() => finish(null), LIVE_CHAT_SAVE_TIMEOUT_MS);
+            const finish = (result) => {
+                clearTimeout(timer);
+                window.removeEventListener('message', onMessage);
+                resolve(result);
+            };
+            window.addEventListener('message', onMessage);
+        });
+    }
+
+    // Hands the recording to the normal save path; the database is dropped only once the
+    // service worker confirms the files were written, so a failed save can be retried
+    async function exportLiveChat(db, meta) {
+        const events = await liveChatStore(db, 'events', 'readonly', store => store.getAll());
+        events.sort((a, b) => a.offsetMs - b.offsetMs || String(a.postedAt).localeCompare(String(b.postedAt)));
+        console.log(`[YCA Page] Saving ${events.length} recorded chat events of ${meta.videoId}`);
+
+        if (events.length > 0) {
+            const saved = waitForLiveChatSaved(meta.videoId);
+            window.postMessage({
+                source: 'YCA_PAGE_SCRIPT',
+                type: 'YCA_DATA_EXTRACTED',
+                data: {
+                    videoId: meta.videoId,
+                    title: meta.title || meta.videoId,
+                    channelName: meta.channelName || 'Unknown Channel',
+                    channelId: meta.channelId || null,
+                    duration: 0,
+                    uploadDate: meta.streamStartMs ? new Date(meta.streamStartMs).toISOString().slice(0, 10) : null,
+                    transcript: null,
+                    comments: null,
+                    chatReplay: events,
+                    options: { exportXlsx: true, chatRecording: true } // Recordings are always saved as JSON, CSV and XLSX
+                }
+            }, window.location.origin);
+
+            const result = await saved;
+            if (!result?.ok) {
+                const reason = result?.error || 'the extension did not answer';
+                console.warn(`[YCA Page] Recorded chat of ${meta.videoId} not saved, keeping it:`, reason);
+                db.close();
+                postLiveChatStatus(`Could not save the live chat of "${meta.title || meta.videoId}" (${reason}). ` +
+                    'The recording is kept: save it again with the chat button (reload the page first if the extension was updated).');
+                return;
+            }
+        }
+
+        await deleteDB(db);
+        postLiveChatStatus(events.length > 0
+            ? `Saved ${events.length} live chat messages of "${meta.title || meta.videoId}".`
+            : 'No chat messages were recorded.');
+    }
+
+    window.addEventListener('message', (event) => {
+        if (event.source !== window || event.data?.source !== 'YCA_CONTENT_SCRIPT') return;
+
+        if (event.data.type === 'YCA_LIVE_CHAT_START') {
+            startLiveChatRecording().catch(e => {
+                console.error('[YCA Page] Could not start live chat recording:', e);
+                postLiveChatStatus(`Could not start recording: ${e.message}`);
+            });
+        } else if (event.data.type === 'YCA_LIVE_CHAT_STOP') {
+            stopLiveChatRecording();
+        } else if (event.data.type === 'YCA_LIVE_CHAT_GET_STATUS') {
+            postLiveChatStatus();
+        }
+    });
+
+    document.addEventListener('yt-navigate-finish', (event) => updateWatchState(event.detail?.response?.playerResponse));
+    updateWatchState(window.ytInitialPlayerResponse);
+
+    // Transcript without the panel: the caption track first (as in worker tabs), then get_transcript
+    async function extractTranscriptViaApi(videoId, watchData, playerData, options) {
+        let cues = null;
+
+        const track = pickCaptionTrack(playerData);
+        if (track) {
+            console.log('[YCA Page] Using caption track', track.languageCode, track.kind || 'manual');
+            cues = await fetchCaptionTrack(track);
+        }
+
+        if (!cues || cues.length === 0) {
+            const endpointData = findTranscriptEndpoint(watchData);
+            if (endpointData) {
+                console.log('[YCA Page] Falling back to get_transcript');
+                cues = await fetchTranscript(endpointData, videoId);
+            }
+        }
+
+        return cues && cues.length > 0 ? formatTranscriptCues(cues, options) : null;
+    }
+
+    async function extractViaApi(videoId, options = {}) {
+        console.log('[YCA Page] API-only extraction for', videoId);
+        applyExtractionOptions(options);
+
+        const [playerData, watchData] = await Promise.all([
+            callInnertube('player', { videoId }),
+            callInnertube('next', { videoId })
+        ]);
+
+        const details = playerData.videoDetails;
+        if (!details) {
+            throw new Error(playerData.playabilityStatus?.reason || 'Video unavailable');
+        }
+
+        // Prefer channel name from options if available (passed from bulk download context)
+        const channelName = options.channelName && options.channelName !== 'Unknown Channel'
+            ? options.channelName
+            : details.author || 'Unknown Channel';
+
+        // NVivo validates against microformat.lengthSeconds (see the watch-page path)
+        const microformat = playerData.microformat?.playerMicroformatRenderer;
+        const duration = parseInt(microformat?.lengthSeconds || details.lengthSeconds, 10) || 0;
+        const uploadDate = (microformat?.uploadDate || microformat?.publishDate || '').slice(0, 10) || null;
+
+        const chapters = addChapterEnds(findChapters(watchData), duration);
+        const transcriptOptions = { ...options, chapters }; // Chaptered layout and 'chapter' NVivo grouping
+        const transcript = await extractTranscriptViaApi(videoId, watchData, playerData, transcriptOptions);
+        const captions = await extractCaptionTracks(playerData, transcriptOptions);
+        const comments = await extractComments(videoId, watchData, options);
+        const chatReplay = await extractChatReplay(videoId, watchData);
+
+        console.log('[YCA Page] API transcript:', transcript ? transcript.text.length + ' chars' : 'NULL');
+        console.log('[YCA Page] API comments:', comments ? comments.length + ' items' : 'NULL');
+
+        return {
+            videoId,
+            title: details.title || 'Unknown Title',
+            channelName,
+            channelId: details.channelId || null,
+            duration,
+            uploadDate,
+            transcript,
+            captions,
+            chapters,
+            comments,
+            chatReplay,
+            options
+        };
+    }
+
+    // API-only requests from the content script (background -> long-lived YouTube tab)
+    window.addEventListener('message', async (event) => {
+        if (event.source !== window) return;
+        if (event.data?.source !== 'YCA_CONTENT_SCRIPT' || event.data.type !== 'YCA_FETCH_VIDEO_DETAILS') return;
+
+        const { videoId, options = {} } = event.data;
+        await waitForYouTubeData(15000);
+
+        let data;
+        try {
+            data = await extractViaApi(videoId, options);
+        } catch (e) {
+            console.error('[YCA Page] API-only extraction failed for', videoId, e);
+            data = { videoId, error: e.message, options };
+        }
+
+        window.postMessage({
+            source: 'YCA_PAGE_SCRIPT',
+            type: 'YCA_DATA_EXTRACTED',
+            data
+        }, window.location.origin);
+    });
+
     console.log('[YCA Page] Ready to extract data (Deep Scan Loaded)');
 
     /**
      * fetchWithRetry - Generic fetch wrapper with retries and exponential backoff
      * @param {string} url 
      * @param {object} options 
-     * @param {number} retries 
+     * @param {number} retries - defaults to the job's "Fetch retries" setting
      * @param {number} backoff 
      */
-    async function fetchWithRetry(url, options, retries = 5, backoff = 1000) {
+    async function fetchWithRetry(url, options, retries = fetchRetries, backoff = 1000) {
         try {
             const response = await fetch(url, options);
 
@@ -1709,7 +2843,7 @@ console.log('[YCA Page] Script injected into page context');
             throw new Error(`Fetch failed: ${response.status}`);
         } catch (err) {
             if (retries > 0) {
-                console.warn(`[YCA Page] Fetch retry ${6 - retries}/5 failed: ${err.message}. Waiting ${backoff}ms...`);
+                console.warn(`[YCA Page] Fetch failed: ${err.message}. ${retries} retries left, waiting ${backoff}ms...`);
                 await new Promise(r => setTimeout(r, backoff));
                 return fetchWithRetry(url, options, retries - 1, backoff * 2);
             } else {
@@ -0,0 +1,187 @@
+import { ZipWriter, MAX_ZIP_BYTES, MAX_ZIP_ENTRIES } from '../utils/zip-writer.js';
+import { FolderStore } from '../utils/folder-store.js';
+
+/**
+ * Offscreen Document
+ * Builds the ZIP archive of a running job. The service worker cannot create
+ * object URLs, so finished volumes are handed back as blob: URLs for chrome.downloads.
+ * Also writes files into the archive folder picked on popup/folder.html.
+ */
+
+console.log('[YCA Offscreen] Document loaded');
+
+const encoder = new TextEncoder();
+const archives = new Map(); // jobId -> { name, volumeBytes, volume, writer, videoIds (videoId -> channelId), lastVideoId }
+
+// Messages are handled one at a time so entries keep their order
+let queue = Promise.resolve();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handled = message.type === 'YCA_FOLDER_WRITE' || (message.type?.startsWith('YCA_ZIP_') && message.type !== 'YCA_ZIP_VOLUME_READY');
+    if (!handled) return;
+
+    queue = queue
+        .then(() => handleMessage(message))
+        .then(result => sendResponse({ ok: true, ...result }))
+        .catch(err => {
+            console.error('[YCA Offscreen] Failed:', message.type, err);
+            sendResponse({ ok: false, error: err.message, noAccess: err.name === 'NotAllowedError' });
+        });
+
+    return true; // Async response
+});
+
+async function handleMessage(message) {
+    switch (message.type) {
+        case 'YCA_FOLDER_WRITE':
+            return writeToFolder(message);
+
+        case 'YCA_ZIP_ADD':
+            await addFile(message);
+            break;
+
+        case 'YCA_ZIP_FINISH': {
+            const archive = archives.get(message.jobId);
+            if (archive && archive.writer.count > 0) flushVolume(message.jobId, archive);
+            archives.delete(message.jobId);
+            break;
+        }
+
+        case 'YCA_ZIP_DISCARD':
+            archives.delete(message.jobId);
+            break;
+
+        case 'YCA_ZIP_REVOKE':
+            URL.revokeObjectURL(message.url);
+            console.log('[YCA Offscreen] Revoked', message.url);
+            break;
+    }
+}
+
+async function addFile({ jobId, name, volumeBytes, firstVolume, path, content, encoding, videoId, channelId = null }) {
+    let archive = archives.get(jobId);
+    if (!archive) {
+        archive = { name, volumeBytes, volume: firstVolume || 1, writer: new ZipWriter(), videoIds: new Map(), lastVideoId: null };
+        archives.set(jobId, archive);
+    }
+
+    const bytes = encodeContent(content, encoding);
+    const { writer } = archive;
+
+    // Volumes split between videos, so each one holds complete video folders
+    const startsNewVideo = videoId === null || videoId !== archive.lastVideoId;
+    const overSoftLimit = writer.size + bytes.length > archive.volumeBytes;
+    const overHardLimit = writer.size + bytes.length > MAX_ZIP_BYTES || writer.count >= MAX_ZIP_ENTRIES;
+
+    if (writer.count > 0 && ((startsNewVideo && overSoftLimit) || overHardLimit)) {
+        flushVolume(jobId, archive);
+    }
+
+    await archive.writer.addFile(path, bytes);
+    if (videoId) archive.videoIds.set(videoId, channelId);
+    archive.lastVideoId = videoId;
+}
+
+function flushVolume(jobId, archive) {
+    const blob = archive.writer.finish();
+    const url = URL.createObjectURL(blob);
+    const filename = archive.volume === 1 ? `${archive.name}.zip` : `${archive.name}_part${archive.volume}.zip`;
+
+    console.log(`[YCA Offscreen] Volume ready: ${filename} (${archive.writer.count} files, ${blob.size} bytes)`);
+    chrome.runtime.sendMessage({
+        type: 'YCA_ZIP_VOLUME_READY',
+        jobId,
+        url,
+        filename,
+        volume: archive.volume,
+        videoIds: [...archive.videoIds.keys()],
+        channelIds: Object.fromEntries(archive.videoIds) // For the archive history
+    });
+
+    archive.volume++;
+    archive.writer = new ZipWriter();
+    archive.videoIds = new Map();
+}
+
+// --- Archive folder ---
+
+/**
+ * @param {string} path - 'Channel/Title_id/file.ext' relative to the archive root
+ * @param {string} policy - 'overwrite' | 'skip' | 'version' for files that already exist
+ * @returns {{ skipped: boolean, path: string }}
+ */
+async function writeToFolder({ path, content, encoding, policy }) {
+    const root = await FolderStore.load();
+    if (!root) {
+        throw new DOMException('No archive folder chosen', 'NotAllowedError');
+    }
+    if ((await FolderStore.permission(root)) !== 'granted') {
+        throw new DOMException(`No write access to "${root.name}"`, 'NotAllowedError');
+    }
+
+    const parts = path.split('/');
+    let fileName = parts.pop();
+    let dir = root;
+    for (const part of parts) {
+        dir = await dir.getDirectoryHandle(part, { create: true });
+    }
+
+    if (policy !== 'overwrite' && await fileExists(dir, fileName)) {
+        if (policy === 'skip') {
+            console.log(`[YCA Offscreen] Exists, skipped: ${path}`);
+            return { skipped: true, path };
+        }
+
+        // transcript.txt -> transcript_v2.txt, transcript_v3.txt...
+        const dot = fileName.lastIndexOf('.');
+        const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+        const ext = dot > 0 ? fileName.slice(dot) : '';
+        let version = 2;
+        while (await fileExists(dir, `${base}_v${version}${ext}`)) version++;
+        fileName = `${base}_v${version}${ext}`;
+        parts.push(fileName);
+        path = parts.join('/');
+    }
+
+    const fileHandle = await dir.getFileHandle(fileName, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(encodeContent(content, encoding));
+    await writable.close();
+
+    console.log(`[YCA Offscreen] Wrote ${path}`);
+    return { skipped: false, path };
+}
+
+async function fileExists(dir, name) {
+    try {
+        await dir.getFileHandle(name);
+        return true;
+    } catch (e) {
+        if (e.name === 'NotFoundError') return false;
+        throw e;
+    }
+}
+
+// Same encodings the service worker uses for data: URL downloads
+function encodeContent(content, encoding) {
+    if (encoding === 'base64') {
+        const binary = atob(content);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    if (encoding === 'utf16le') {
+        const bytes = new Uint8Array(content.length * 2);
+        for (let i = 0; i < content.length; i++) {
+            const code = content.charCodeAt(i);
+            bytes[i * 2] = code & 0xFF;
+            bytes[i * 2 + 1] = code >> 8;
+        }
+        return bytes;
+    }
+
+    return encoder.encode(content);
+}
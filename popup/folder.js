@@ -0,0 +1,66 @@
+import { FolderStore } from '../utils/folder-store.js';
+
+/**
+ * Folder Page
+ * showDirectoryPicker needs a full page (the popup closes as soon as the picker
+ * opens), so choosing and re-authorizing the archive root happens here.
+ */
+
+const status = document.getElementById('folder-status');
+const pickBtn = document.getElementById('folder-pick-btn');
+const grantBtn = document.getElementById('folder-grant-btn');
+const clearBtn = document.getElementById('folder-clear-btn');
+
+async function render() {
+    const handle = await FolderStore.load();
+    if (!handle) {
+        status.textContent = 'No folder chosen. Files go to the downloads folder.';
+        status.className = '';
+        grantBtn.style.display = 'none';
+        clearBtn.style.display = 'none';
+        return;
+    }
+
+    // Chrome may drop the grant when the browser restarts
+    const granted = (await FolderStore.permission(handle)) === 'granted';
+    status.textContent = granted
+        ? `Archiving into "${handle.name}".`
+        : `Chrome needs permission again to write into "${handle.name}". Until then files go to the downloads folder.`;
+    status.className = granted ? '' : 'warning';
+    grantBtn.style.display = granted ? 'none' : '';
+    clearBtn.style.display = '';
+    chrome.storage.local.set({ outputFolderNeedsAccess: !granted });
+}
+
+pickBtn.addEventListener('click', async () => {
+    let handle;
+    try {
+        handle = await window.showDirectoryPicker({ id: 'yca-archive-root', mode: 'readwrite' });
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error('[YCA Folder] Picker failed:', e);
+            status.textContent = `Could not open the folder: ${e.message}`;
+        }
+        return;
+    }
+
+    await FolderStore.save(handle);
+    chrome.storage.local.set({ outputFolder: true, outputFolderName: handle.name });
+    console.log(`[YCA Folder] Archive root set to ${handle.name}`);
+    render();
+});
+
+grantBtn.addEventListener('click', async () => {
+    const handle = await FolderStore.load();
+    if (handle) await handle.requestPermission({ mode: 'readwrite' });
+    render();
+});
+
+clearBtn.addEventListener('click', async () => {
+    await FolderStore.clear();
+    chrome.storage.local.set({ outputFolder: false, outputFolderName: null, outputFolderNeedsAccess: false });
+    console.log('[YCA Folder] Archive root cleared');
+    render();
+});
+
+render();
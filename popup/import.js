@@ -0,0 +1,152 @@
+import XLSX from '../utils/xlsx.js';
+import { VideoImport } from '../utils/video-import.js';
+
+/**
+ * Import Page
+ * Collects video URLs/IDs from pasted text or a CSV/XLSX column, resolves their
+ * titles and channels, and queues them through the background download queue.
+ */
+
+const textArea = document.getElementById('import-text');
+const fileInput = document.getElementById('import-file');
+const columnLabel = document.getElementById('import-column-label');
+const columnSelect = document.getElementById('import-column');
+const lookupBtn = document.getElementById('import-lookup-btn');
+const startBtn = document.getElementById('import-start-btn');
+const xlsxCheckbox = document.getElementById('import-xlsx');
+const status = document.getElementById('import-status');
+const resultsTable = document.getElementById('import-results');
+
+let sheetRows = [];
+let resolvedVideos = [];
+
+chrome.storage.local.get(['exportXlsx'], (result) => {
+    xlsxCheckbox.checked = result.exportXlsx === true;
+});
+
+// Spreadsheet: read the first sheet, then let the user pick the column with the URLs
+fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    try {
+        const workbook = XLSX.read(new Uint8Array(await file.arrayBuffer()), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        sheetRows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    } catch (e) {
+        console.error('[YCA Import] Could not read file:', e);
+        status.textContent = `Could not read ${file.name}: ${e.message}`;
+        return;
+    }
+
+    const columnCount = Math.max(0, ...sheetRows.map(row => row.length));
+    let bestColumn = 0;
+    let bestCount = -1;
+
+    columnSelect.innerHTML = '';
+    for (let col = 0; col < columnCount; col++) {
+        const header = String(sheetRows[0]?.[col] || '').trim();
+        const option = document.createElement('option');
+        option.value = col;
+        option.textContent = `${XLSX.utils.encode_col(col)}${header ? ` (${header})` : ''}`;
+        columnSelect.appendChild(option);
+
+        // Auto-pick the column with the most recognizable videos
+        const count = VideoImport.extractVideoIds(sheetRows.map(row => row[col]).join('\n')).length;
+        if (count > bestCount) {
+            bestCount = count;
+            bestColumn = col;
+        }
+    }
+
+    columnSelect.value = bestColumn;
+    columnLabel.style.display = columnCount > 0 ? '' : 'none';
+    fillFromColumn();
+});
+
+columnSelect.addEventListener('change', fillFromColumn);
+
+function fillFromColumn() {
+    const col = parseInt(columnSelect.value, 10);
+    textArea.value = sheetRows.map(row => String(row[col] ?? '').trim()).filter(Boolean).join('\n');
+    status.textContent = `${VideoImport.extractVideoIds(textArea.value).length} videos found in column`;
+}
+
+lookupBtn.addEventListener('click', async () => {
+    const videoIds = VideoImport.extractVideoIds(textArea.value);
+    if (videoIds.length === 0) {
+        status.textContent = 'No video URLs or IDs found.';
+        return;
+    }
+
+    lookupBtn.disabled = true;
+    startBtn.disabled = true;
+
+    const { videos, failed } = await VideoImport.lookupAll(videoIds, (done, total) => {
+        status.textContent = `Looking up ${done}/${total}...`;
+    });
+
+    resolvedVideos = videos;
+    renderResults(videos, failed);
+
+    status.textContent = `${videos.length} videos ready` + (failed.length ? `, ${failed.length} not found` : '');
+    lookupBtn.disabled = false;
+    startBtn.disabled = videos.length === 0;
+    startBtn.textContent = `Archive ${videos.length} videos`;
+});
+
+function renderResults(videos, failed) {
+    const tbody = resultsTable.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    videos.forEach((video, i) => {
+        const tr = document.createElement('tr');
+        [i + 1, video.title, video.channelName, video.videoId].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+
+    failed.forEach(({ videoId, reason }) => {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = 4;
+        td.className = 'failed';
+        td.textContent = `${videoId}: ${reason}`;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    });
+
+    resultsTable.style.display = '';
+}
+
+startBtn.addEventListener('click', () => {
+    if (resolvedVideos.length === 0) return;
+
+    // No batch channel: the background files each video under its own channel
+    chrome.runtime.sendMessage({
+        type: 'YCA_START_DOWNLOAD',
+        payload: {
+            videos: resolvedVideos,
+            channelId: null,
+            channelName: null,
+            options: { exportXlsx: xlsxCheckbox.checked }
+        }
+    });
+
+    console.log(`[YCA Import] Queued ${resolvedVideos.length} videos`);
+    status.textContent = `Queued ${resolvedVideos.length} videos. Archiving runs in the background.`;
+    startBtn.disabled = true;
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'YCA_QUEUE_COMPLETE') {
+        const failed = message.summary ? message.summary.failed : [];
+        status.textContent = failed.length === 0 && !message.summary?.cancelled
+            ? 'All videos archived.'
+            : `${message.summary.cancelled ? 'Cancelled. ' : ''}Archived ${message.summary.done} of ${message.summary.total} videos, ${failed.length} failed.`;
+        if (failed.length > 0) renderResults(resolvedVideos.filter(v => !failed.some(f => f.videoId === v.videoId)), failed);
+    }
+});
@@ -0,0 +1,89 @@
+import { ExtractionSettings, PRESETS } from '../utils/extraction-settings.js';
+
+/**
+ * Options Page
+ * Export and extraction settings with named presets. Every change is saved
+ * right away; the service worker reads them when a job starts.
+ */
+
+const presetSelect = document.getElementById('preset-select');
+const presetDescription = document.getElementById('preset-description');
+const applyBtn = document.getElementById('preset-apply-btn');
+const resetBtn = document.getElementById('reset-btn');
+const status = document.getElementById('options-status');
+
+// Setting key -> form control
+const fields = {
+    exportXlsx: document.getElementById('export-xlsx'),
+    transcriptFormat: document.getElementById('transcript-format'),
+    chapteredTranscript: document.getElementById('chaptered-transcript'),
+    nvivoGrouping: document.getElementById('nvivo-grouping'),
+    nvivoIntervalSec: document.getElementById('nvivo-interval'),
+    nvivoPauseSec: document.getElementById('nvivo-pause'),
+    transcriptJson: document.getElementById('transcript-json'),
+    exportSrt: document.getElementById('export-srt'),
+    exportVtt: document.getElementById('export-vtt'),
+    captionTracks: document.getElementById('caption-tracks'),
+    captionLanguages: document.getElementById('caption-languages'),
+    commentSort: document.getElementById('comment-sort'),
+    replyConcurrency: document.getElementById('reply-concurrency'),
+    fetchRetries: document.getElementById('fetch-retries')
+};
+
+presetSelect.innerHTML = Object.entries(PRESETS)
+    .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+    .join('') + '<option value="custom" disabled>Custom</option>';
+
+function describePreset() {
+    presetDescription.textContent = PRESETS[presetSelect.value]?.description || 'Your own combination of the settings below.';
+}
+
+function render(settings) {
+    for (const [key, field] of Object.entries(fields)) {
+        if (field.type === 'checkbox') {
+            field.checked = settings[key];
+        } else {
+            field.value = settings[key];
+        }
+    }
+    presetSelect.value = settings.preset;
+    fields.nvivoGrouping.disabled = settings.transcriptFormat === 'classic';
+    fields.nvivoIntervalSec.disabled = settings.transcriptFormat === 'classic';
+    fields.nvivoPauseSec.disabled = settings.transcriptFormat === 'classic';
+    document.getElementById('nvivo-interval-label').style.display = settings.nvivoGrouping === 'interval' ? '' : 'none';
+    document.getElementById('nvivo-pause-label').style.display = settings.nvivoGrouping === 'pause' ? '' : 'none';
+    fields.captionLanguages.style.display = settings.captionTracks === 'languages' ? '' : 'none';
+    describePreset();
+}
+
+function readForm() {
+    const values = {};
+    for (const [key, field] of Object.entries(fields)) {
+        values[key] = field.type === 'checkbox' ? field.checked : field.value;
+    }
+    return values;
+}
+
+Object.values(fields).forEach(field => field.addEventListener('change', async () => {
+    const settings = await ExtractionSettings.save(readForm());
+    console.log(`[YCA Options] Saved (${settings.preset})`);
+    render(settings);
+    status.textContent = 'Saved.';
+}));
+
+presetSelect.addEventListener('change', describePreset);
+
+applyBtn.addEventListener('click', async () => {
+    if (presetSelect.value === 'custom') return;
+    const settings = await ExtractionSettings.applyPreset(presetSelect.value);
+    console.log(`[YCA Options] Applied preset ${settings.preset}`);
+    render(settings);
+    status.textContent = `Applied "${PRESETS[settings.preset].label}".`;
+});
+
+resetBtn.addEventListener('click', async () => {
+    render(await ExtractionSettings.applyPreset('default'));
+    status.textContent = 'Defaults restored.';
+});
+
+ExtractionSettings.load().then(render);
@@ -1,19 +1,327 @@
+import { ExtractionSettings, PRESETS } from '../utils/extraction-settings.js';
+
 document.addEventListener('DOMContentLoaded', () => {
-    const xlsxCheckbox = document.getElementById('xlsx-checkbox');
-
-    // Load state
-    chrome.storage.local.get(['exportXlsx'], (result) => {
-        // Default to false (user choice)
-        if (result.exportXlsx === undefined) {
-            xlsxCheckbox.checked = false;
-            chrome.storage.local.set({ exportXlsx: false });
+    // Export and extraction settings live on the options page; the popup shows the active preset
+    const optionsStatus = document.getElementById('options-status');
+
+    const srtCheckbox = document.getElementById('srt-checkbox');
+    const vttCheckbox = document.getElementById('vtt-checkbox');
+
+    const showSettings = (settings) => {
+        const preset = PRESETS[settings.preset];
+        optionsStatus.textContent = preset ? preset.label : 'Custom settings';
+        if (settings.exportXlsx) optionsStatus.textContent += ' · XLSX';
+        srtCheckbox.checked = settings.exportSrt;
+        vttCheckbox.checked = settings.exportVtt;
+    };
+
+    ExtractionSettings.load().then(showSettings);
+
+    // Subtitle outputs are also on the options page; saving here keeps its preset label in step
+    [srtCheckbox, vttCheckbox].forEach(checkbox => checkbox.addEventListener('change', async () => {
+        const settings = await ExtractionSettings.load();
+        showSettings(await ExtractionSettings.save({
+            ...settings,
+            exportSrt: srtCheckbox.checked,
+            exportVtt: vttCheckbox.checked
+        }));
+    }));
+
+    document.getElementById('options-btn').addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+    });
+
+    // Watchdog and worker pool settings (defaults mirror background/service-worker.js)
+    const timeoutInput = document.getElementById('timeout-input');
+    const retriesInput = document.getElementById('retries-input');
+    const poolInput = document.getElementById('pool-input');
+    const modeSelect = document.getElementById('mode-select');
+
+    chrome.storage.local.get(['videoTimeoutSec', 'videoRetries', 'workerPoolSize', 'extractionMode'], (result) => {
+        modeSelect.value = result.extractionMode === 'api' ? 'api' : 'tabs';
+        timeoutInput.value = result.videoTimeoutSec ?? 180;
+        retriesInput.value = result.videoRetries ?? 2;
+        poolInput.value = result.workerPoolSize ?? 1;
+    });
+
+    timeoutInput.addEventListener('change', () => {
+        const value = Math.max(30, parseInt(timeoutInput.value, 10) || 180);
+        timeoutInput.value = value;
+        chrome.storage.local.set({ videoTimeoutSec: value });
+    });
+
+    retriesInput.addEventListener('change', () => {
+        const value = Math.min(10, Math.max(0, parseInt(retriesInput.value, 10) || 0));
+        retriesInput.value = value;
+        chrome.storage.local.set({ videoRetries: value });
+    });
+
+    poolInput.addEventListener('change', () => {
+        const value = Math.min(6, Math.max(1, parseInt(poolInput.value, 10) || 1));
+        poolInput.value = value;
+        chrome.storage.local.set({ workerPoolSize: value });
+    });
+
+    modeSelect.addEventListener('change', () => {
+        chrome.storage.local.set({ extractionMode: modeSelect.value });
+    });
+
+    // ZIP output: one archive per job, split into volumes past the size limit
+    const zipCheckbox = document.getElementById('zip-checkbox');
+    const zipVolumeInput = document.getElementById('zip-volume-input');
+
+    chrome.storage.local.get(['outputZip', 'zipVolumeMB'], (result) => {
+        zipCheckbox.checked = result.outputZip === true;
+        zipVolumeInput.value = result.zipVolumeMB ?? 1024;
+    });
+
+    zipCheckbox.addEventListener('change', () => {
+        chrome.storage.local.set({ outputZip: zipCheckbox.checked });
+    });
+
+    zipVolumeInput.addEventListener('change', () => {
+        const value = Math.max(10, parseInt(zipVolumeInput.value, 10) || 1024);
+        zipVolumeInput.value = value;
+        chrome.storage.local.set({ zipVolumeMB: value });
+    });
+
+    // Archive folder: picked on its own page, the popup only shows where files go
+    const folderStatus = document.getElementById('folder-status');
+    const conflictSelect = document.getElementById('conflict-select');
+
+    chrome.storage.local.get(['outputFolder', 'outputFolderName', 'outputFolderNeedsAccess', 'conflictPolicy'], (result) => {
+        if (result.outputFolder && result.outputFolderNeedsAccess) {
+            folderStatus.textContent = `${result.outputFolderName}: access needed, using downloads`;
+            folderStatus.style.color = '#ffb74d';
         } else {
-            xlsxCheckbox.checked = result.exportXlsx;
+            folderStatus.textContent = result.outputFolder ? result.outputFolderName : 'Downloads folder';
         }
+        conflictSelect.value = result.conflictPolicy || 'version';
+    });
+
+    document.getElementById('folder-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup/folder.html') });
+    });
+
+    conflictSelect.addEventListener('change', () => {
+        chrome.storage.local.set({ conflictPolicy: conflictSelect.value });
+    });
+
+    // Folder / file name templates (expanded by utils/path-template.js); empty = default layout
+    const folderTemplateInput = document.getElementById('folder-template-input');
+    const fileTemplateInput = document.getElementById('file-template-input');
+
+    chrome.storage.local.get(['folderTemplate', 'fileTemplate'], (result) => {
+        folderTemplateInput.value = result.folderTemplate || '';
+        fileTemplateInput.value = result.fileTemplate || '';
+    });
+
+    folderTemplateInput.addEventListener('change', () => {
+        const value = folderTemplateInput.value.trim();
+        chrome.storage.local.set({ folderTemplate: value || null });
+    });
+
+    fileTemplateInput.addEventListener('change', () => {
+        const value = fileTemplateInput.value.trim();
+        chrome.storage.local.set({ fileTemplate: value || null });
+    });
+
+    // Job dashboard: live state of the background queue, polled while the popup is open
+    const jobSection = document.getElementById('job-section');
+    const jobStatus = document.getElementById('job-status');
+    const jobSaveError = document.getElementById('job-save-error');
+    const jobProgressBar = document.getElementById('job-progress-bar');
+    const jobEta = document.getElementById('job-eta');
+    const jobCurrent = document.getElementById('job-current');
+    const jobRecent = document.getElementById('job-recent');
+    const jobFailures = document.getElementById('job-failures');
+    const jobPauseBtn = document.getElementById('job-pause-btn');
+    const jobResumeBtn = document.getElementById('job-resume-btn');
+    const jobRetryBtn = document.getElementById('job-retry-btn');
+    const jobCancelBtn = document.getElementById('job-cancel-btn');
+    const jobDiscardBtn = document.getElementById('job-discard-btn');
+    const lastJobSection = document.getElementById('last-job-section');
+    const lastJobStatus = document.getElementById('last-job-status');
+    const lastJobRetryBtn = document.getElementById('last-job-retry-btn');
+
+    let cancelArmed = false;
+
+    function formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    function show(element, visible) {
+        element.style.display = visible ? '' : 'none';
+    }
+
+    function renderJob(response) {
+        const job = response?.job;
+        const lastJob = response?.lastJob;
+
+        if (!job) {
+            jobSection.style.display = 'none';
+            renderLastJob(lastJob);
+            return;
+        }
+        lastJobSection.style.display = 'none';
+
+        const name = job.playlistTitle || job.channelName || 'Imported videos';
+        const failed = job.failed ? `, ${job.failed} failed` : '';
+        const states = { running: 'Archiving', paused: 'Paused', interrupted: 'Interrupted job' };
+
+        jobStatus.textContent = `${states[job.status] || job.status}: ${name} — ${job.done}/${job.total} done${failed}`;
+        jobSaveError.textContent = response.saveError
+            ? `Progress could not be saved (${response.saveError}); the job cannot be resumed after a restart.`
+            : '';
+        show(jobSaveError, Boolean(response.saveError));
+        jobProgressBar.style.width = `${job.total ? Math.round((job.done + job.failed) / job.total * 100) : 0}%`;
+
+        const position = Math.min(job.total, job.done + job.failed + 1);
+        const eta = job.etaSeconds !== null && job.pending > 0 ? `, about ${formatDuration(job.etaSeconds)} left` : '';
+        jobEta.textContent = job.pending > 0 ? `Video ${position} of ${job.total}, ${job.pending} remaining${eta}` : '';
+
+        jobCurrent.innerHTML = '';
+        job.current.forEach(video => {
+            const li = document.createElement('li');
+            const elapsed = Math.max(0, Math.round((Date.now() - Date.parse(video.startedAt)) / 1000));
+            const attempt = video.attempt > 1 ? `, attempt ${video.attempt}` : '';
+            li.textContent = `${video.title || video.videoId} (${formatDuration(elapsed)}${attempt})`;
+
+            const skipBtn = document.createElement('button');
+            skipBtn.className = 'secondary';
+            skipBtn.textContent = 'Skip';
+            skipBtn.addEventListener('click', () => {
+                chrome.runtime.sendMessage({ type: 'YCA_SKIP_VIDEO', videoId: video.videoId }, renderJob);
+            });
+            li.appendChild(skipBtn);
+            jobCurrent.appendChild(li);
+        });
+
+        const recent = job.recent[0];
+        if (recent) {
+            const counts = [
+                recent.comments !== null ? `${recent.comments} comments` : null,
+                recent.replies ? `${recent.replies} replies` : null,
+                recent.transcriptSegments ? `${recent.transcriptSegments} transcript segments` : null
+            ].filter(Boolean).join(', ');
+            jobRecent.textContent = `Last saved: ${recent.title || recent.videoId}${counts ? ` — ${counts}` : ''}`;
+        } else {
+            jobRecent.textContent = '';
+        }
+
+        jobFailures.innerHTML = '';
+        job.failures.slice(0, 5).forEach(failure => {
+            const li = document.createElement('li');
+            li.textContent = `${failure.title || failure.videoId}: ${failure.reason}`;
+            jobFailures.appendChild(li);
+        });
+        if (job.failures.length > 5) {
+            const li = document.createElement('li');
+            li.textContent = `…and ${job.failed - 5} more`;
+            jobFailures.appendChild(li);
+        }
+
+        const active = job.status === 'running' || job.status === 'paused';
+        show(jobPauseBtn, job.status === 'running');
+        show(jobResumeBtn, job.status !== 'running');
+        show(jobRetryBtn, active && job.failed > 0);
+        show(jobCancelBtn, active);
+        show(jobDiscardBtn, job.status === 'interrupted');
+        jobCancelBtn.textContent = cancelArmed ? 'Confirm cancel' : 'Cancel';
+        jobSection.style.display = 'block';
+    }
+
+    function renderLastJob(lastJob) {
+        if (!lastJob) {
+            lastJobSection.style.display = 'none';
+            return;
+        }
+
+        const outcome = lastJob.cancelled ? 'cancelled' : 'finished';
+        const failed = lastJob.failed ? `, ${lastJob.failed} failed` : '';
+        lastJobStatus.textContent = `Last job ${outcome}: ${lastJob.name || 'Imported videos'} — ${lastJob.done}/${lastJob.total} archived${failed}`;
+        show(lastJobRetryBtn, lastJob.failed > 0);
+        lastJobSection.style.display = 'block';
+    }
+
+    function refreshJob() {
+        chrome.runtime.sendMessage({ type: 'YCA_GET_JOB' }, renderJob);
+    }
+
+    refreshJob();
+    setInterval(refreshJob, 1000);
+
+    jobPauseBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'YCA_PAUSE_JOB' }, renderJob);
+    });
+
+    jobResumeBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'YCA_RESUME_JOB' }, renderJob);
+    });
+
+    jobRetryBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'YCA_RETRY_FAILED' }, renderJob);
+    });
+
+    lastJobRetryBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'YCA_RETRY_FAILED' }, renderJob);
+    });
+
+    // Cancel closes tabs and ends the job, so it takes a second click
+    jobCancelBtn.addEventListener('click', () => {
+        if (!cancelArmed) {
+            cancelArmed = true;
+            jobCancelBtn.textContent = 'Confirm cancel';
+            setTimeout(() => { cancelArmed = false; }, 4000);
+            return;
+        }
+        cancelArmed = false;
+        chrome.runtime.sendMessage({ type: 'YCA_CANCEL_JOB' }, renderJob);
+    });
+
+    jobDiscardBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'YCA_DISCARD_JOB' }, renderJob);
+    });
+
+    // Scan by URL: the scan runs in the active YouTube tab, which can be any YouTube page
+    const scanInput = document.getElementById('scan-url-input');
+    const scanBtn = document.getElementById('scan-url-btn');
+    const scanStatus = document.getElementById('scan-url-status');
+
+    scanBtn.addEventListener('click', () => {
+        const url = scanInput.value.trim();
+        if (!url) return;
+
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            const tab = tabs[0];
+            if (!tab || !/^https:\/\/(www|m)\.youtube\.com\//.test(tab.url || '')) {
+                scanStatus.textContent = 'Open any YouTube tab first, then try again.';
+                return;
+            }
+
+            chrome.tabs.sendMessage(tab.id, { type: 'YCA_SCAN_URL', url }, () => {
+                if (chrome.runtime.lastError) {
+                    scanStatus.textContent = 'Could not reach the YouTube tab. Reload it and try again.';
+                } else {
+                    window.close();
+                }
+            });
+        });
+    });
+
+    scanInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') scanBtn.click();
+    });
+
+    // Pasted URLs / CSV import needs more room than the popup, so it gets its own tab
+    document.getElementById('import-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup/import.html') });
     });
 
-    // Save state
-    xlsxCheckbox.addEventListener('change', () => {
-        chrome.storage.local.set({ exportXlsx: xlsxCheckbox.checked });
+    document.getElementById('schedules-btn').addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('popup/schedules.html') });
     });
 });
@@ -0,0 +1,154 @@
+import { ScheduleStore, SCHEDULES_KEY, HISTORY_KEY } from '../utils/schedule-store.js';
+
+/**
+ * Schedules Page
+ * Adds, pauses and removes recurring archive runs and shows their history.
+ * The service worker owns the alarms and is the only writer of the schedules,
+ * so every edit is sent to it rather than written here.
+ */
+
+const urlInput = document.getElementById('schedule-url');
+const labelInput = document.getElementById('schedule-label');
+const daysInput = document.getElementById('schedule-days');
+const recaptureInput = document.getElementById('schedule-recapture');
+const xlsxCheckbox = document.getElementById('schedule-xlsx');
+const addBtn = document.getElementById('schedule-add-btn');
+const status = document.getElementById('schedule-status');
+const scheduleBody = document.querySelector('#schedule-table tbody');
+const historyBody = document.querySelector('#history-table tbody');
+
+const STATUS_LABELS = {
+    scanning: 'Scanning...',
+    running: 'Archiving...',
+    completed: 'Completed',
+    'no-new-videos': 'No new videos',
+    deferred: 'Waiting for another job',
+    failed: 'Failed'
+};
+
+async function editSchedule(action, scheduleId, fields = {}) {
+    const response = await chrome.runtime.sendMessage({ type: 'YCA_SCHEDULE_EDIT', action, scheduleId, fields });
+    render();
+    return response?.schedule || null;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '—';
+}
+
+function cell(tr, value, className = '') {
+    const td = document.createElement('td');
+    td.textContent = value ?? '—';
+    if (className) td.className = className;
+    tr.appendChild(td);
+    return td;
+}
+
+function button(td, label, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'secondary';
+    btn.textContent = label;
+    btn.style.marginRight = '6px';
+    btn.addEventListener('click', onClick);
+    td.appendChild(btn);
+}
+
+async function render() {
+    const [schedules, history, alarms] = await Promise.all([
+        ScheduleStore.list(),
+        ScheduleStore.history(),
+        chrome.alarms.getAll()
+    ]);
+
+    scheduleBody.innerHTML = '';
+    if (schedules.length === 0) {
+        const tr = document.createElement('tr');
+        cell(tr, 'No schedules yet.', 'empty').colSpan = 6;
+        scheduleBody.appendChild(tr);
+    }
+
+    schedules.forEach(schedule => {
+        const tr = document.createElement('tr');
+        const alarm = alarms.find(a => a.name === ScheduleStore.alarmName(schedule.id));
+
+        const nameCell = cell(tr, schedule.label);
+        nameCell.title = schedule.url;
+        cell(tr, `${schedule.everyDays} day${schedule.everyDays === 1 ? '' : 's'}`);
+        cell(tr, schedule.recaptureDays > 0 ? `Last ${schedule.recaptureDays} days` : 'Off');
+        cell(tr, schedule.enabled ? formatDate(alarm?.scheduledTime) : 'Paused');
+        cell(tr, schedule.lastRunAt
+            ? `${formatDate(schedule.lastRunAt)} (${STATUS_LABELS[schedule.lastStatus] || schedule.lastStatus})`
+            : 'Never', schedule.lastStatus === 'failed' ? 'failed' : '');
+
+        const actions = cell(tr, '');
+        button(actions, 'Run now', () => {
+            chrome.runtime.sendMessage({ type: 'YCA_RUN_SCHEDULE', scheduleId: schedule.id });
+            status.textContent = `Started "${schedule.label}".`;
+            setTimeout(render, 1000);
+        });
+        button(actions, schedule.enabled ? 'Pause' : 'Resume', () => {
+            editSchedule('update', schedule.id, { enabled: !schedule.enabled });
+        });
+        button(actions, 'Delete', () => {
+            if (!confirm(`Delete the schedule "${schedule.label}"? Its history is kept.`)) return;
+            editSchedule('remove', schedule.id);
+        });
+
+        scheduleBody.appendChild(tr);
+    });
+
+    historyBody.innerHTML = '';
+    if (history.length === 0) {
+        const tr = document.createElement('tr');
+        cell(tr, 'No runs yet.', 'empty').colSpan = 8;
+        historyBody.appendChild(tr);
+    }
+
+    history.forEach(run => {
+        const tr = document.createElement('tr');
+        cell(tr, formatDate(run.startedAt));
+        cell(tr, run.label).title = run.url;
+        const statusCell = cell(tr, STATUS_LABELS[run.status] || run.status, run.status === 'failed' ? 'failed' : '');
+        if (run.error) statusCell.title = run.error;
+        if (run.error && run.status === 'failed') statusCell.textContent += `: ${run.error}`;
+        cell(tr, run.found);
+        cell(tr, run.queued);
+        cell(tr, run.recaptured);
+        cell(tr, run.done);
+        cell(tr, run.failed);
+        historyBody.appendChild(tr);
+    });
+}
+
+addBtn.addEventListener('click', async () => {
+    const url = urlInput.value.trim();
+    if (!url) {
+        status.textContent = 'Enter a channel or playlist URL first.';
+        return;
+    }
+
+    const schedule = await editSchedule('add', null, {
+        url,
+        label: labelInput.value.trim(),
+        everyDays: Math.max(1, parseInt(daysInput.value, 10) || 7),
+        recaptureDays: Math.max(0, parseInt(recaptureInput.value, 10) || 0),
+        exportXlsx: xlsxCheckbox.checked
+    });
+
+    if (!schedule) {
+        status.textContent = 'Could not add the schedule.';
+        return;
+    }
+
+    console.log(`[YCA Schedules] Added ${schedule.id} for ${url}`);
+    status.textContent = `Added "${schedule.label}".`;
+    urlInput.value = '';
+    labelInput.value = '';
+});
+
+// Runs update in the background while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (SCHEDULES_KEY in changes || HISTORY_KEY in changes)) render();
+});
+
+render();
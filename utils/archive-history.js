@@ -0,0 +1,37 @@
+/**
+ * Archive History
+ * Per-channel record of successfully archived videos, kept in chrome.storage.local
+ * under `yca_archive_<channelId>` as { [videoId]: archivedAt ISO string }.
+ * The content script reads the same keys directly (it cannot import modules).
+ */
+
+export const ARCHIVE_KEY_PREFIX = 'yca_archive_';
+
+// Serializes read-modify-write cycles so overlapping saves don't drop entries
+let writeChain = Promise.resolve();
+
+export class ArchiveHistory {
+    static key(channelId) {
+        return `${ARCHIVE_KEY_PREFIX}${channelId}`;
+    }
+
+    static async get(channelId) {
+        const key = ArchiveHistory.key(channelId);
+        const result = await chrome.storage.local.get(key);
+        return result[key] || {};
+    }
+
+    static markArchived(channelId, videoId, archivedAt = new Date().toISOString()) {
+        if (!channelId || !videoId) return Promise.resolve();
+
+        writeChain = writeChain.then(async () => {
+            const key = ArchiveHistory.key(channelId);
+            const history = await ArchiveHistory.get(channelId);
+            history[videoId] = archivedAt;
+            await chrome.storage.local.set({ [key]: history });
+            console.log(`[YCA History] Marked ${videoId} archived for ${channelId}`);
+        }).catch(err => console.error('[YCA History] Failed to record archive:', err));
+
+        return writeChain;
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * CSV Exporter
+ * Generates CSV text (RFC 4180 quoting) from an array of row objects.
+ */
+
+export class CSVExporter {
+    /**
+     * @param {Object[]} rows - Row objects
+     * @param {string[]} columns - Keys to export, in order (also used as the header row)
+     * @returns {string} CSV with a UTF-8 BOM so Excel detects the encoding
+     */
+    static generate(rows, columns) {
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const str = Array.isArray(value) ? value.join('; ') : String(value);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+
+        const lines = [columns.map(escape).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        });
+
+        return '\uFEFF' + lines.join('\r\n');
+    }
+}
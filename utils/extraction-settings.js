@@ -0,0 +1,115 @@
+/**
+ * Extraction Settings
+ * Export and extraction options edited on the options page (popup/options.html).
+ * The service worker merges them into each job's options, so they reach every
+ * video through `yca_session` (worker tabs) or the API-only request.
+ *
+ * Each setting is its own chrome.storage.local key, like the popup settings;
+ * `settingsPreset` names the preset they were last set from ('custom' once edited).
+ */
+
+export const EXTRACTION_DEFAULTS = {
+    exportXlsx: false,
+    transcriptFormat: 'auto', // 'auto' (NVivo when XLSX is on) | 'nvivo' | 'classic'
+    transcriptJson: false, // Also write the timed segments as transcript.json
+    exportSrt: false, // Also write transcript.srt (SubRip) from the line-level timings
+    exportVtt: false, // Also write transcript.vtt (WebVTT)
+    chapteredTranscript: false, // Chapter headings / a Chapter column in transcripts and chat, plus chapters.vtt
+    nvivoGrouping: 'interval', // NVivo rows per 'interval' | 'sentence' | 'pause' | 'chapter'
+    nvivoIntervalSec: 10, // 'interval' rows group the transcript into intervals of this length
+    nvivoPauseSec: 2, // 'pause' rows end at a silence of at least this length
+    captionTracks: 'default', // 'default' (one transcript) | 'all' | 'manual' | 'languages'
+    captionLanguages: '', // For 'languages': codes such as "en, de, pt-BR"; missing ones are auto-translated
+    commentSort: 'newest', // 'newest' | 'top'
+    replyConcurrency: 4, // Reply threads fetched at once per video
+    fetchRetries: 5 // Retries per InnerTube request, with doubling backoff
+};
+
+export const PRESET_KEY = 'settingsPreset';
+
+export const PRESETS = {
+    default: {
+        label: 'Default',
+        description: 'Plain-text transcripts and JSON comments.',
+        values: { ...EXTRACTION_DEFAULTS }
+    },
+    nvivo: {
+        label: 'NVivo project',
+        description: 'NVivo transcript rows in 10-second intervals and comments as XLSX, ready to import as a dataset.',
+        values: { ...EXTRACTION_DEFAULTS, exportXlsx: true, transcriptFormat: 'nvivo' }
+    },
+    'data-science': {
+        label: 'Data science JSON',
+        description: 'Line-by-line transcripts in every caption language plus transcript.json with timed segments; comments as JSON only.',
+        values: { ...EXTRACTION_DEFAULTS, transcriptFormat: 'classic', transcriptJson: true, captionTracks: 'all' }
+    }
+};
+
+const LIMITS = {
+    nvivoIntervalSec: [1, 120],
+    nvivoPauseSec: [1, 30],
+    replyConcurrency: [1, 8],
+    fetchRetries: [0, 10]
+};
+
+const CHOICES = {
+    transcriptFormat: ['auto', 'nvivo', 'classic'],
+    nvivoGrouping: ['interval', 'sentence', 'pause', 'chapter'],
+    captionTracks: ['default', 'all', 'manual', 'languages'],
+    commentSort: ['newest', 'top']
+};
+
+export class ExtractionSettings {
+    /** Stored settings over the defaults, plus `preset`. */
+    static async load() {
+        const stored = await chrome.storage.local.get([...Object.keys(EXTRACTION_DEFAULTS), PRESET_KEY]);
+        return {
+            ...ExtractionSettings.normalize(stored),
+            preset: stored[PRESET_KEY] || 'default'
+        };
+    }
+
+    /** Saves edited settings; the preset becomes 'custom' unless they still match it. */
+    static async save(values) {
+        const settings = ExtractionSettings.normalize(values);
+        const preset = ExtractionSettings.matchPreset(settings);
+        await chrome.storage.local.set({ ...settings, [PRESET_KEY]: preset });
+        return { ...settings, preset };
+    }
+
+    static async applyPreset(id) {
+        const preset = PRESETS[id];
+        if (!preset) throw new Error(`Unknown preset: ${id}`);
+        await chrome.storage.local.set({ ...preset.values, [PRESET_KEY]: id });
+        return { ...preset.values, preset: id };
+    }
+
+    /** Fills in defaults and clamps numbers; unknown keys are dropped. */
+    static normalize(values) {
+        const settings = {};
+        for (const [key, fallback] of Object.entries(EXTRACTION_DEFAULTS)) {
+            const value = values[key];
+            if (typeof fallback === 'boolean') {
+                settings[key] = typeof value === 'boolean' ? value : fallback;
+            } else if (typeof fallback === 'number') {
+                const [min, max] = LIMITS[key];
+                const number = parseInt(value, 10);
+                settings[key] = Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+            } else if (CHOICES[key]) {
+                settings[key] = CHOICES[key].includes(value) ? value : fallback;
+            } else {
+                // Free text: a list of language codes
+                settings[key] = typeof value === 'string'
+                    ? value.split(/[\s,;]+/).filter(Boolean).join(', ')
+                    : fallback;
+            }
+        }
+        return settings;
+    }
+
+    static matchPreset(settings) {
+        const match = Object.entries(PRESETS).find(([, preset]) =>
+            Object.keys(EXTRACTION_DEFAULTS).every(key => preset.values[key] === settings[key]));
+        return match ? match[0] : 'custom';
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Folder Store
+ * Keeps the archive root picked with showDirectoryPicker. Directory handles can't go
+ * into chrome.storage, so the handle lives in IndexedDB, which every extension page
+ * (folder page, offscreen document) shares.
+ */
+
+const DB_NAME = 'YCA_Settings';
+const STORE_NAME = 'handles';
+const ROOT_KEY = 'archiveRoot';
+
+function openDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function withStore(mode, action) {
+    const db = await openDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = action(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+export class FolderStore {
+    /** @returns {Promise<FileSystemDirectoryHandle|null>} */
+    static async load() {
+        return (await withStore('readonly', store => store.get(ROOT_KEY))) || null;
+    }
+
+    static save(handle) {
+        return withStore('readwrite', store => store.put(handle, ROOT_KEY));
+    }
+
+    static clear() {
+        return withStore('readwrite', store => store.delete(ROOT_KEY));
+    }
+
+    /** 'granted' | 'prompt' | 'denied' without asking the user. */
+    static async permission(handle) {
+        return handle.queryPermission({ mode: 'readwrite' });
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Job Store
+ * Persists the background download job in chrome.storage.local under `yca_job`,
+ * so a suspended service worker or a browser restart does not lose a long batch.
+ *
+ * Job shape:
+ * {
+ *   id, status: 'running' | 'paused' | 'interrupted', createdAt, updatedAt, cancelled,
+ *   channelId, channelName, playlist, options, mainTabId,
+ *   watchdog: { timeoutSec, retries },
+ *   poolSize: number of videos extracting at once
+ *   mode:     'tabs' (a watch tab per video) | 'api' (API-only, via hostTabId)
+ *   schedule: null, or { scheduleId, runId } for runs started by utils/schedule-store.js schedules
+ *   zip:      null, or { name, volumeMB, nextVolume, unflushed: videoIds not yet in a downloaded volume }
+ *   videos:   every video in the job (per-video channel lookup)
+ *   pending:  videos not started yet, in queue order
+ *   inFlight: [{ video, tabId, startedAt, viaApi }]
+ *   done:     videoIds saved successfully
+ *   failed:   [{ videoId, title, reason }]
+ *   results:  { [videoId]: { transcriptSegments, captionTracks, comments, replies, chatMessages, bytes, files, options, startedAt, capturedAt } }
+ *   attempts: { [videoId]: failed attempts so far }
+ *   retryAt:  { [videoId]: epoch ms before which a retried video is not reopened }
+ * }
+ */
+
+export const JOB_KEY = 'yca_job';
+// Outcome of the last finished job, so its failures can still be retried from the popup
+export const LAST_JOB_KEY = 'yca_last_job';
+
+// Serializes writes so a slow save can't overwrite a newer snapshot
+let writeChain = Promise.resolve();
+
+// Why the last save failed (null once one succeeds); shown on the popup dashboard,
+// since without a saved snapshot the job cannot be resumed after a restart
+let saveError = null;
+
+export class JobStore {
+    static create({ videos, channelId = null, channelName = null, playlist = null, options = {}, mainTabId = null, watchdog, poolSize = 1, mode = 'tabs', zip = null, schedule = null }) {
+        const now = new Date().toISOString();
+        return {
+            id: `job_${Date.now()}`,
+            status: 'running',
+            cancelled: false,
+            createdAt: now,
+            updatedAt: now,
+            channelId,
+            channelName,
+            playlist,
+            options,
+            mainTabId,
+            watchdog,
+            poolSize,
+            mode,
+            zip,
+            schedule,
+            hostTabId: null,
+            videos: [...videos],
+            pending: [...videos],
+            inFlight: [],
+            done: [],
+            failed: [],
+            results: {},
+            attempts: {},
+            retryAt: {}
+        };
+    }
+
+    static async load() {
+        const result = await chrome.storage.local.get(JOB_KEY);
+        return result[JOB_KEY] || null;
+    }
+
+    static save(job) {
+        job.updatedAt = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify(job));
+
+        writeChain = writeChain
+            .then(() => chrome.storage.local.set({ [JOB_KEY]: snapshot }))
+            .then(() => { saveError = null; })
+            .catch(err => {
+                console.error('[YCA Job] Failed to persist job:', err);
+                saveError = err?.message || String(err);
+            });
+
+        return writeChain;
+    }
+
+    static get saveError() {
+        return saveError;
+    }
+
+    static clear() {
+        writeChain = writeChain
+            .then(() => chrome.storage.local.remove(JOB_KEY))
+            .catch(err => console.error('[YCA Job] Failed to clear job:', err));
+
+        return writeChain;
+    }
+
+    static async loadLast() {
+        const result = await chrome.storage.local.get(LAST_JOB_KEY);
+        return result[LAST_JOB_KEY] || null;
+    }
+
+    /**
+     * Remembers how a job ended; failedVideos keep the full video objects for a retry.
+     */
+    static saveLast(job, finishedAt = new Date().toISOString()) {
+        const failedIds = new Set(job.failed.map(f => f.videoId));
+        const last = {
+            id: job.id,
+            finishedAt,
+            cancelled: job.cancelled,
+            channelId: job.channelId,
+            channelName: job.channelName,
+            playlist: job.playlist,
+            options: job.options,
+            total: job.videos.length,
+            done: job.done.length,
+            failed: job.failed,
+            failedVideos: job.videos.filter(v => failedIds.has(v.videoId))
+        };
+        return chrome.storage.local.set({ [LAST_JOB_KEY]: last });
+    }
+
+    static clearLast() {
+        return chrome.storage.local.remove(LAST_JOB_KEY);
+    }
+
+    /**
+     * Small status object for the popup dashboard (the full job can hold thousands of videos).
+     */
+    static summarize(job) {
+        if (!job) return null;
+
+        const titles = new Map(job.videos.map(v => [v.videoId, v.title]));
+        const remaining = job.pending.length + job.inFlight.length;
+
+        // ETA from the average time per finished video, spread over the worker pool
+        const durations = Object.values(job.results || {})
+            .filter(r => r.startedAt && r.capturedAt)
+            .map(r => Date.parse(r.capturedAt) - Date.parse(r.startedAt));
+        const average = durations.length > 0 ? durations.reduce((a, b) => a + b, 0) / durations.length : null;
+        const etaSeconds = average !== null ? Math.round(average * remaining / Math.max(1, job.poolSize || 1) / 1000) : null;
+
+        return {
+            id: job.id,
+            status: job.status,
+            channelName: job.channelName,
+            playlistTitle: job.playlist?.title || null,
+            total: job.videos.length,
+            done: job.done.length,
+            failed: job.failed.length,
+            pending: remaining,
+            etaSeconds,
+            current: job.inFlight.map(entry => ({
+                videoId: entry.video.videoId,
+                title: entry.video.title,
+                startedAt: entry.startedAt,
+                attempt: (job.attempts[entry.video.videoId] || 0) + 1
+            })),
+            recent: job.done.slice(-5).reverse().map(videoId => {
+                const result = job.results?.[videoId] || {};
+                return {
+                    videoId,
+                    title: titles.get(videoId),
+                    comments: result.comments ?? null,
+                    replies: result.replies ?? null,
+                    transcriptSegments: result.transcriptSegments ?? null
+                };
+            }),
+            failures: job.failed.slice(-20).reverse(),
+            updatedAt: job.updatedAt
+        };
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * Path Template
+ * Expands the folder and file name templates set in the popup into archive paths,
+ * e.g. '{channelId}/{uploadDate}_{videoId}' + '{kind}' -> 'UC.../2024-05-01_abc/transcript'.
+ *
+ * Tokens: {channel} {channelId} {videoId} {title} {uploadDate} {playlistIndex} {captureDate} {kind}
+ * A template without {kind} gets '_{kind}' after the file name, or a video's files would overwrite each other.
+ *
+ * Every path segment is made safe for Windows, macOS and Linux, and the whole
+ * path is kept under MAX_PATH_LENGTH by shortening the title (then the channel name),
+ * and as a last resort the longest folder or file name without an ID in it,
+ * so IDs in the template always survive. Only a path of little but IDs can stay longer.
+ */
+
+export const DEFAULT_FOLDER_TEMPLATE = '{channel}/{title}_{videoId}';
+export const DEFAULT_FILE_TEMPLATE = '{kind}';
+
+// Windows' 260-character limit, minus room for the downloads/archive folder itself
+export const MAX_PATH_LENGTH = 200;
+const MAX_SEGMENT_BYTES = 200; // ext4/APFS allow 255 bytes per name
+const MAX_TITLE_LENGTH = 100;
+const MIN_SHRINK_LENGTH = 10;
+
+// {kind} per output file; these may use tokens themselves
+export const FILE_KINDS = {
+    transcript: 'transcript',
+    comments: 'comments',
+    chat: 'chat_replay',
+    liveChat: 'live_chat',
+    captions: 'captions',
+    chapters: 'chapters',
+    xlsx: '{title} Comments'
+};
+
+// Tokens that differ per video: folders above the first of these are shared by a channel
+const VIDEO_TOKENS = ['videoId', 'title', 'uploadDate', 'playlistIndex', 'kind'];
+
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+const encoder = new TextEncoder();
+
+export class PathTemplate {
+    /**
+     * One file or folder name, valid on all three platforms.
+     */
+    static sanitizeSegment(name) {
+        let safe = String(name)
+            .replace(/[<>:"/\\|?*\u0000-\u001F\u007F]/g, '_')
+            .replace(/[. ]+$/, '') // Windows drops trailing dots and spaces
+            .trim();
+
+        if (RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+        return safe || '_';
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string} options.folderTemplate
+     * @param {string} options.fileTemplate
+     * @param {string} options.kind - key of FILE_KINDS
+     * @param {string} options.extension - e.g. '.txt'
+     * @param {Object} options.values - token values; missing ones expand to ''
+     * @returns {string} 'a/b/c.ext'
+     */
+    static filePath({ folderTemplate, fileTemplate, kind, extension, values }) {
+        let raw = `${folderTemplate || DEFAULT_FOLDER_TEMPLATE}/${fileTemplate || DEFAULT_FILE_TEMPLATE}`;
+        if (!raw.includes('{kind}')) raw += '_{kind}';
+        const template = raw.replace(/\{kind\}/g, FILE_KINDS[kind] || kind);
+
+        const vals = { ...values, title: String(values.title || '').slice(0, MAX_TITLE_LENGTH) };
+        let segments = PathTemplate.expand(template, vals);
+
+        // Too long: shorten the free-text tokens, never the IDs
+        for (const key of ['title', 'channel']) {
+            const uses = (template.match(new RegExp(`\\{${key}\\}`, 'g')) || []).length;
+            while (uses > 0 && vals[key] && vals[key].length > MIN_SHRINK_LENGTH) {
+                const excess = segments.join('/').length + extension.length - MAX_PATH_LENGTH;
+                if (excess <= 0) break;
+                const cut = Math.max(1, Math.ceil(excess / uses));
+                vals[key] = vals[key].slice(0, Math.max(MIN_SHRINK_LENGTH, vals[key].length - cut));
+                segments = PathTemplate.expand(template, vals);
+            }
+        }
+
+        const last = segments.length - 1;
+        segments[last] = PathTemplate.sanitizeSegment(segments[last] + extension);
+        segments = segments.map(segment => PathTemplate.fitSegment(segment));
+
+        // Still too long (long folder template or playlist title, transcript_<lang>_<kind> names)
+        const ids = [values.videoId, values.channelId].filter(Boolean).map(String);
+        return PathTemplate.fitPath(segments, extension, ids).join('/');
+    }
+
+    /** Cuts the longest segment without an ID until the path fits; the file keeps its extension. */
+    static fitPath(segments, extension, ids) {
+        const fitted = [...segments];
+        let excess = fitted.join('/').length - MAX_PATH_LENGTH;
+
+        while (excess > 0) {
+            let longest = -1;
+            fitted.forEach((segment, i) => {
+                const keep = i === fitted.length - 1 ? extension.length : 0;
+                if (segment.length - keep <= 1 || ids.some(id => segment.includes(id))) return;
+                if (longest === -1 || segment.length > fitted[longest].length) longest = i;
+            });
+            if (longest === -1) break; // Nothing left to cut but IDs
+
+            const ext = longest === fitted.length - 1 ? extension : '';
+            const base = fitted[longest].slice(0, fitted[longest].length - ext.length);
+            const cut = Math.min(excess, base.length - 1);
+            fitted[longest] = PathTemplate.sanitizeSegment(base.slice(0, base.length - cut) + ext);
+            excess = fitted.join('/').length - MAX_PATH_LENGTH;
+        }
+        return fitted;
+    }
+
+    /**
+     * Folder shared by all videos of a channel under this template ('' = archive root),
+     * where channel-level indexes such as videos.json belong.
+     */
+    static channelFolder(folderTemplate, values) {
+        const template = folderTemplate || DEFAULT_FOLDER_TEMPLATE;
+        const shared = [];
+        for (const part of template.split('/')) {
+            if (VIDEO_TOKENS.some(token => part.includes(`{${token}}`))) break;
+            shared.push(part);
+        }
+        return shared.length > 0 ? PathTemplate.expand(shared.join('/'), values).join('/') : '';
+    }
+
+    /** Expands tokens and returns the sanitized, non-empty segments. */
+    static expand(template, values) {
+        return template
+            .split('/')
+            .map(part => part.replace(/\{(\w+)\}/g, (match, token) => {
+                if (!(token in values)) return match;
+                const value = values[token];
+                return value === null || value === undefined ? '' : String(value).replace(/[/\\]/g, '_');
+            }))
+            .filter(part => part.trim() !== '')
+            .map(part => PathTemplate.sanitizeSegment(part));
+    }
+
+    /** Caps one name at MAX_SEGMENT_BYTES of UTF-8, keeping a file extension. */
+    static fitSegment(segment) {
+        if (encoder.encode(segment).length <= MAX_SEGMENT_BYTES) return segment;
+
+        const dot = segment.lastIndexOf('.');
+        const ext = dot > 0 && segment.length - dot <= 10 ? segment.slice(dot) : '';
+        let base = segment.slice(0, segment.length - ext.length);
+        while (base && encoder.encode(base + ext).length > MAX_SEGMENT_BYTES) {
+            base = Array.from(base).slice(0, -1).join(''); // Whole code points only
+        }
+        return PathTemplate.sanitizeSegment(base + ext);
+    }
+
+    /** Local YYYY-MM-DD, for {captureDate}. */
+    static today() {
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Schedule Store
+ * Recurring archive runs, kept in chrome.storage.local. The service worker is the
+ * only writer: it runs them from chrome.alarms and logs each run, and applies the
+ * schedules page's edits (YCA_SCHEDULE_EDIT). Other pages only read.
+ *
+ * Schedule: { id, url, label, everyDays, recaptureDays, exportXlsx, enabled, createdAt,
+ *             lastRunAt, lastStatus, deferred }
+ * Run:      { id, scheduleId, label, url, startedAt, finishedAt, tabId,
+ *             status: 'scanning' | 'running' | 'completed' | 'no-new-videos' | 'deferred' | 'failed',
+ *             found, queued, recaptured, done, failed, error }
+ */
+
+export const SCHEDULES_KEY = 'yca_schedules';
+export const HISTORY_KEY = 'yca_schedule_history';
+export const SCHEDULE_ALARM_PREFIX = 'yca_schedule_';
+const HISTORY_LIMIT = 200;
+
+// Serializes read-modify-write cycles within the service worker so overlapping updates don't drop changes
+let writeChain = Promise.resolve();
+
+function queueWrite(action) {
+    writeChain = writeChain
+        .then(action)
+        .catch(err => console.error('[YCA Schedules] Failed to save:', err));
+    return writeChain;
+}
+
+export class ScheduleStore {
+    static async list() {
+        const result = await chrome.storage.local.get(SCHEDULES_KEY);
+        return result[SCHEDULES_KEY] || [];
+    }
+
+    static async get(id) {
+        return (await ScheduleStore.list()).find(s => s.id === id) || null;
+    }
+
+    static add({ url, label, everyDays, recaptureDays = 0, exportXlsx = false }) {
+        const schedule = {
+            id: `sched_${Date.now()}`,
+            url,
+            label: label || url,
+            everyDays,
+            recaptureDays,
+            exportXlsx,
+            enabled: true,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastStatus: null,
+            deferred: false
+        };
+
+        return queueWrite(async () => {
+            const schedules = await ScheduleStore.list();
+            schedules.push(schedule);
+            await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+        }).then(() => schedule);
+    }
+
+    static update(id, patch) {
+        return queueWrite(async () => {
+            const schedules = await ScheduleStore.list();
+            const schedule = schedules.find(s => s.id === id);
+            if (!schedule) return;
+            Object.assign(schedule, patch);
+            await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+        });
+    }
+
+    static remove(id) {
+        return queueWrite(async () => {
+            const schedules = (await ScheduleStore.list()).filter(s => s.id !== id);
+            await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+        });
+    }
+
+    static alarmName(id) {
+        return `${SCHEDULE_ALARM_PREFIX}${id}`;
+    }
+
+    /** Runs, newest first. */
+    static async history() {
+        const result = await chrome.storage.local.get(HISTORY_KEY);
+        return result[HISTORY_KEY] || [];
+    }
+
+    static async getRun(runId) {
+        return (await ScheduleStore.history()).find(r => r.id === runId) || null;
+    }
+
+    /** Adds a run, or merges `run` into the logged run with the same id. */
+    static logRun(run) {
+        return queueWrite(async () => {
+            const history = await ScheduleStore.history();
+            const existing = history.find(r => r.id === run.id);
+            if (existing) {
+                Object.assign(existing, run);
+            } else {
+                history.unshift(run);
+            }
+            await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, HISTORY_LIMIT) });
+        });
+    }
+}
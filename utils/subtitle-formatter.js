@@ -0,0 +1,78 @@
+/**
+ * Subtitle Formatter
+ * Turns timed transcript cues ({ startMs, endMs, text }) into SubRip (.srt)
+ * and WebVTT (.vtt) files for video annotation tools.
+ *
+ * Auto-generated captions overlap (each line stays up while the next one rolls in),
+ * so an end time is cut back to the next cue's start; players would otherwise
+ * show two lines at once.
+ */
+
+const MIN_CUE_MS = 500;
+
+export class SubtitleFormatter {
+    static toSrt(cues) {
+        return SubtitleFormatter.prepare(cues)
+            .map((cue, i) => `${i + 1}\n${SubtitleFormatter.timestamp(cue.startMs, ',')} --> ${SubtitleFormatter.timestamp(cue.endMs, ',')}\n${cue.text}`)
+            .join('\n\n') + '\n';
+    }
+
+    static toVtt(cues) {
+        const blocks = SubtitleFormatter.prepare(cues)
+            .map(cue => `${SubtitleFormatter.timestamp(cue.startMs, '.')} --> ${SubtitleFormatter.timestamp(cue.endMs, '.')}\n${cue.text}`);
+        return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+    }
+
+    /**
+     * WebVTT chapters track (<track kind="chapters">): one cue per chapter, titled.
+     * A chapter without an end (unknown video duration) ends at `fallbackEndMs`;
+     * null when that is unknown too, rather than a made-up end.
+     */
+    static chaptersToVtt(chapters, fallbackEndMs = null) {
+        const cues = chapters.map(chapter => ({
+            startMs: chapter.startMs,
+            endMs: chapter.endMs ?? fallbackEndMs,
+            text: chapter.title
+        }));
+        if (cues.some(cue => cue.endMs === null || cue.endMs <= cue.startMs)) return null;
+        return SubtitleFormatter.toVtt(cues);
+    }
+
+    /** Sorted cues with clean text and non-overlapping times; accepts durationMs in place of endMs. */
+    static prepare(cues) {
+        const cleaned = (cues || [])
+            .map(cue => ({
+                startMs: Math.max(0, Math.round(cue.startMs) || 0),
+                endMs: Math.round(cue.endMs ?? (cue.startMs + (cue.durationMs || 0))) || 0,
+                // Blank lines end a cue in both formats, and "-->" would read as a timing line
+                text: String(cue.text || '')
+                    .split(/\r?\n/)
+                    .map(line => line.replace(/-->/g, '->').trim())
+                    .filter(Boolean)
+                    .join('\n')
+            }))
+            .filter(cue => cue.text)
+            .sort((a, b) => a.startMs - b.startMs);
+
+        cleaned.forEach((cue, i) => {
+            const next = cleaned[i + 1];
+            if (next && next.startMs > cue.startMs && cue.endMs > next.startMs) {
+                cue.endMs = next.startMs;
+            }
+            if (cue.endMs <= cue.startMs) {
+                cue.endMs = cue.startMs + MIN_CUE_MS;
+            }
+        });
+        return cleaned;
+    }
+
+    /** HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT) */
+    static timestamp(ms, separator) {
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor((ms % 3600000) / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        const millis = ms % 1000;
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+    }
+}
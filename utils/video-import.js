@@ -0,0 +1,107 @@
+/**
+ * Video Import
+ * Extracts video IDs from pasted text or spreadsheet cells and looks up their
+ * title and channel, so an arbitrary list of videos can be queued like a scan.
+ * Runs in extension pages (host permissions allow calling youtubei directly).
+ */
+
+// Any reasonably recent WEB client version is accepted by the player endpoint
+const WEB_CLIENT_VERSION = '2.20241001.00.00';
+
+const VIDEO_URL_PATTERN = /(?:youtube\.com\/(?:watch\?(?:[^#\s]*&)?v=|shorts\/|live\/|embed\/|v\/)|youtu\.be\/)([\w-]{11})/;
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+
+export class VideoImport {
+    /**
+     * Returns the unique video IDs found in free text (URLs or bare IDs), in order.
+     * Bare 11-character words may be false positives; lookup() rejects those.
+     */
+    static extractVideoIds(text) {
+        const ids = [];
+        const seen = new Set();
+
+        String(text || '').split(/[\s,;"']+/).forEach(token => {
+            if (!token) return;
+            const videoId = token.match(VIDEO_URL_PATTERN)?.[1] || (VIDEO_ID_PATTERN.test(token) ? token : null);
+            if (videoId && !seen.has(videoId)) {
+                seen.add(videoId);
+                ids.push(videoId);
+            }
+        });
+
+        return ids;
+    }
+
+    /**
+     * Fetches title and channel for one video via the Innertube player endpoint.
+     * @returns {Promise<Object>} video in the same shape the channel scanner produces
+     */
+    static async lookup(videoId) {
+        const response = await fetch('https://www.youtube.com/youtubei/v1/player?prettyPrint=false', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                context: { client: { hl: 'en', gl: 'US', clientName: 'WEB', clientVersion: WEB_CLIENT_VERSION } },
+                videoId
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Innertube API Error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const details = data.videoDetails;
+        if (!details?.channelId) {
+            throw new Error(data.playabilityStatus?.reason || 'Video unavailable');
+        }
+
+        const microformat = data.microformat?.playerMicroformatRenderer;
+        const thumbnails = details.thumbnail?.thumbnails || [];
+
+        return {
+            videoId,
+            title: details.title,
+            channelId: details.channelId,
+            channelName: details.author,
+            duration: parseInt(details.lengthSeconds, 10) || null,
+            viewCount: details.viewCount ? parseInt(details.viewCount, 10) : null,
+            publishDate: microformat?.publishDate?.slice(0, 10) || null,
+            thumbnailUrl: thumbnails[thumbnails.length - 1]?.url || null,
+            contentType: details.isLiveContent ? 'live' : 'video'
+        };
+    }
+
+    /**
+     * Looks up many videos with limited concurrency.
+     * @returns {Promise<{videos: Object[], failed: {videoId: string, reason: string}[]}>}
+     *          videos keep the input order
+     */
+    static async lookupAll(videoIds, onProgress, concurrency = 4) {
+        const results = new Array(videoIds.length);
+        let next = 0;
+        let done = 0;
+
+        const worker = async () => {
+            while (next < videoIds.length) {
+                const index = next++;
+                const videoId = videoIds[index];
+                try {
+                    results[index] = { video: await VideoImport.lookup(videoId) };
+                } catch (e) {
+                    console.warn(`[YCA Import] Lookup failed for ${videoId}:`, e.message);
+                    results[index] = { failed: { videoId, reason: e.message } };
+                }
+                done++;
+                if (onProgress) onProgress(done, videoIds.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, videoIds.length) }, worker));
+
+        return {
+            videos: results.filter(r => r.video).map(r => r.video),
+            failed: results.filter(r => r.failed).map(r => r.failed)
+        };
+    }
+}
@@ -56,4 +56,26 @@ export class XLSXExporter {
         const wbout = XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
         return wbout;
     }
+
+    /**
+     * Chat replay / recorded live chat, one row per event
+     * @param {Object[]} events - chat events from page-script.js
+     * @param {string[]} columns - keys to export, in order
+     * @returns {string} base64 XLSX
+     */
+    static generateChat(events, columns) {
+        const rows = events.map(event => {
+            const row = {};
+            columns.forEach(column => {
+                const value = event[column];
+                row[column] = Array.isArray(value) ? value.join('; ') : (value ?? '');
+            });
+            return row;
+        });
+
+        const wb = XLSX.utils.book_new();
+        const ws = XLSX.utils.json_to_sheet(rows, { header: columns });
+        XLSX.utils.book_append_sheet(wb, ws, 'Chat');
+        return XLSX.write(wb, { bookType: 'xlsx', type: 'base64' });
+    }
 }
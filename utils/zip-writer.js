@@ -0,0 +1,134 @@
+/**
+ * ZIP Writer
+ * Builds a ZIP archive incrementally out of Blob parts, so large archives can be
+ * assembled without holding one giant buffer. Entries are deflated with the
+ * browser's CompressionStream when that makes them smaller, stored otherwise.
+ * No ZIP64: callers keep each archive under MAX_ZIP_BYTES / MAX_ZIP_ENTRIES.
+ */
+
+export const MAX_ZIP_BYTES = 0xFFFFFFFF - 64 * 1024 * 1024; // Headroom for the central directory
+export const MAX_ZIP_ENTRIES = 0xFFFF;
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// MS-DOS date/time fields used by ZIP headers (local time, 2-second resolution)
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+export class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /** Bytes written so far, excluding the central directory. */
+    get size() {
+        return this.offset;
+    }
+
+    get count() {
+        return this.entries.length;
+    }
+
+    /**
+     * @param {string} path - path inside the archive, '/' separated
+     * @param {Uint8Array} data
+     */
+    async addFile(path, data, date = new Date()) {
+        const name = encoder.encode(path);
+        const crc = crc32(data);
+        const { time, day } = dosDateTime(date);
+
+        let method = 0;
+        let body = data;
+        if (data.length > 256 && typeof CompressionStream !== 'undefined') {
+            const compressed = await deflateRaw(data);
+            if (compressed.length < data.length) {
+                method = 8;
+                body = compressed;
+            }
+        }
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed (2.0)
+        header.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+        header.setUint16(8, method, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, day, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, body.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true); // Extra field length
+
+        // Blob parts let the browser page finished entries out of memory
+        this.parts.push(new Blob([header.buffer, name, body]));
+        this.entries.push({ name, crc, method, time, day, compressedSize: body.length, size: data.length, offset: this.offset });
+        this.offset += 30 + name.length + body.length;
+    }
+
+    /** Appends the central directory and returns the finished archive. */
+    finish() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true); // Central directory signature
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true); // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, entry.method, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.day, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.compressedSize, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.name.length, true);
+            // Extra, comment, disk number, internal/external attributes stay 0
+            record.setUint32(42, entry.offset, true);
+
+            directory.push(record.buffer, entry.name);
+            directorySize += 46 + entry.name.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true); // End of central directory signature
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.parts, ...directory, end.buffer], { type: 'application/zip' });
+    }
+}